@@ -1,8 +1,14 @@
 'use strict';
 
-const {createHash} = require('crypto');
+/* global Headers, ReadableStream, Response, TransformStream */
+
+const {createHash, randomBytes} = require('crypto');
+const {EventEmitter} = require('events');
 const {inspect} = require('util');
+const {pipeline, Transform} = require('stream');
+const zlib = require('zlib');
 
+const iconv = require('iconv-lite');
 const inspectWithKind = require('inspect-with-kind');
 const isPlainObj = require('is-plain-obj');
 const parseContentType = require('content-type').parse;
@@ -11,40 +17,481 @@ const Parse5SaxParser = require('parse5-sax-parser');
 const TMP_HEADER_NAME = 'nodejs-temporary-inserted-header-name';
 const PARSER_EVENTS = new Set(['startTag', 'endTag', 'comment', 'text', 'doctype']);
 const CONTENT_LENGTH_ERROR = 'According to RFC7230, content-length header must be a non-negative integer https://tools.ietf.org/html/rfc7230#section-3.3.2';
-const decoderOption = {fatal: true};
+// Keep a BOM in the decoded text, which is still counted in the byte offsets
+const decoderOption = {fatal: true, ignoreBOM: true};
+const iconvDecoderOption = {stripBOM: false};
+// The inserted contents go in the middle of the document, where a BOM must not appear
+const encoderOption = {addBOM: false};
 const incompleteDecodeOption = {stream: true};
 const parserOption = {sourceCodeLocationInfo: true};
 const utf8Re = /utf-?8/ui;
+const utf16Re = /^utf-?16(?<byteOrder>[bl]e)?$/ui;
+const metaCharsetRe = /<meta\s[^>]*?charset\s*=\s*["']?\s*(?<charset>[-\w.:]+)/ui;
+const PRESCAN_LENGTH = 1024;
+const CHARSET_PROBE = 'a+<\u3042-';
+// The default Brotli quality 11 suits assets compressed once in advance, but takes too much CPU time to compress every response.
+// Quality 4 compresses about as fast as the default level of gzip.
+const brotliCompressOption = {params: {[zlib.constants.BROTLI_PARAM_QUALITY]: 4}};
+// https://www.iana.org/assignments/http-parameters/http-parameters.xhtml#content-coding
+const CONTENT_CODINGS = new Map([
+	['gzip', [zlib.createGunzip, zlib.createGzip]],
+	['x-gzip', [zlib.createGunzip, zlib.createGzip]],
+	['deflate', [zlib.createInflate, zlib.createDeflate]],
+	['br', [zlib.createBrotliDecompress, () => zlib.createBrotliCompress(brotliCompressOption)]]
+]);
+const POSITIONS = new Set(['beforebegin', 'afterbegin', 'beforeend', 'afterend']);
+const FALLBACKS = new Set(['none', 'prepend', 'append', 'create']);
+// Directives controlling inline <script> and <style>, in the order of fallback https://www.w3.org/TR/CSP3/#directive-fallback-list
+const CSP_DIRECTIVE_FALLBACKS = new Map([
+	['script', ['script-src-elem', 'script-src', 'default-src']],
+	['style', ['style-src-elem', 'style-src', 'default-src']]
+]);
+const nonceSourceRe = /^'nonce-(?<nonce>[-\w+/]+=*)'$/u;
+const hashSourceRe = /^'sha(?:256|384|512)-/u;
+const nonceTargetRe = /<(?<tagName>script|style|link)(?=[\s/>])(?<attributes>[^>]*)>/gui;
+const nonceAttributeRe = /\snonce\s*=/ui;
+const DEFAULT_MEDIA_TYPES = ['text/html', 'application/xhtml+xml'];
+// `type/subtype`, where `*` can replace the type, the subtype, or the subtype before a structured syntax suffix like `*+xml`
+const mediaTypePatternRe = /^(?:\*|[-\w.!#$&^]+)\/(?:\*(?:\+[-\w.!#$&^]+)?|[-\w.!#$&^+]+)$/u;
+const xmlMediaTypeRe = /^(?:application|text)\/(?:[-\w.!#$&^]+\+)?xml$/u;
+const XHTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+// Elements without any namespace declarations are regarded as XHTML ones, so that a fragment of XHTML also works
+const DEFAULT_NAMESPACES = new Map([['', XHTML_NAMESPACE]]);
+const rawTagNameRe = /[^\s/>]+/uy;
+// https://html.spec.whatwg.org/multipage/syntax.html#attributes-2
+const attributeNameRe = /^[^\s"'>/=\p{Cc}]+$/u;
+const attributeValueEscapes = {'&': '&amp;', '"': '&quot;', '<': '&lt;', '>': '&gt;'};
+// Attributes identifying an element, used by `dedupe` option
+const KEY_ATTRIBUTES = new Set(['src', 'href', 'id']);
+const DIGESTS = new Set(['remove', 'trailers', 'buffer']);
+// Headers carrying a digest of the body, which no longer matches once contents are inserted
+const DIGEST_HEADER_NAMES = ['content-md5', 'content-digest', 'repr-digest'];
+// Hash algorithms of RFC 9530 https://www.rfc-editor.org/rfc/rfc9530#section-5
+const DIGEST_ALGORITHMS = new Map([['sha-256', 'sha256'], ['sha-512', 'sha512']]);
+const DEFAULT_MAX_BUFFER_BYTES = 1024 * 1024;
+const etagRe = /^(?<weak>W\/)?"(?<opaque>[^"]*)"$/u;
+// https://html.spec.whatwg.org/multipage/syntax.html#void-elements
+const VOID_ELEMENTS = new Set([
+	'area',
+	'base',
+	'br',
+	'col',
+	'embed',
+	'hr',
+	'img',
+	'input',
+	'link',
+	'meta',
+	'param',
+	'source',
+	'track',
+	'wbr'
+]);
+// https://html.spec.whatwg.org/multipage/syntax.html#optional-tags
+// Elements whose end tag may be omitted, closed by the end tag of the parent element or the end of the document
+const OMISSIBLE_END_TAG_ELEMENTS = new Set([
+	'body',
+	'caption',
+	'colgroup',
+	'dd',
+	'dt',
+	'head',
+	'html',
+	'li',
+	'optgroup',
+	'option',
+	'p',
+	'rp',
+	'rt',
+	'tbody',
+	'td',
+	'tfoot',
+	'th',
+	'thead',
+	'tr'
+]);
+const paragraphClosingTagNames = new Set([
+	'address',
+	'article',
+	'aside',
+	'blockquote',
+	'dd',
+	'details',
+	'dialog',
+	'div',
+	'dl',
+	'dt',
+	'fieldset',
+	'figcaption',
+	'figure',
+	'footer',
+	'form',
+	'h1',
+	'h2',
+	'h3',
+	'h4',
+	'h5',
+	'h6',
+	'header',
+	'hgroup',
+	'hr',
+	'li',
+	'main',
+	'menu',
+	'nav',
+	'ol',
+	'p',
+	'pre',
+	'section',
+	'table',
+	'ul'
+]);
+const tableCellClosingTagNames = new Set(['tbody', 'td', 'tfoot', 'th', 'thead', 'tr']);
+// The start tags that close an open element of each name, as the parser infers its omitted end tag
+const IMPLIED_END_TAGS = new Map([
+	['head', new Set(['body'])],
+	['p', paragraphClosingTagNames],
+	['li', new Set(['li'])],
+	['dt', new Set(['dd', 'dt'])],
+	['dd', new Set(['dd', 'dt'])],
+	['rt', new Set(['rp', 'rt'])],
+	['rp', new Set(['rp', 'rt'])],
+	['option', new Set(['optgroup', 'option'])],
+	['optgroup', new Set(['optgroup'])],
+	['td', tableCellClosingTagNames],
+	['th', tableCellClosingTagNames],
+	['tr', new Set(['tbody', 'tfoot', 'thead', 'tr'])],
+	['thead', new Set(['tbody', 'tfoot'])],
+	['tbody', new Set(['tbody', 'tfoot'])]
+]);
+
+const identifierPattern = '-?[_a-zA-Z\\u{80}-\\u{10FFFF}][-\\w\\u{80}-\\u{10FFFF}]*';
+const typeSelectorRe = new RegExp(`\\*|${identifierPattern}`, 'uy');
+const idSelectorRe = new RegExp(`#(${identifierPattern})`, 'uy');
+const classSelectorRe = new RegExp(`\\.(${identifierPattern})`, 'uy');
+const attributeSelectorRe = new RegExp(`\\[\\s*(${identifierPattern})\\s*(?:=\\s*(?:"([^"]*)"|'([^']*)'|(${identifierPattern}))\\s*)?\\]`, 'uy');
+const combinatorRe = /\s*>\s*|\s+/uy;
+
+function matchSticky(re, str, index) {
+	re.lastIndex = index;
+	return re.exec(str);
+}
+
+// Parse a CSS selector into a list of compound selectors, or return `null` if it's not supported
+function parseSelector(selector) {
+	const compounds = [];
+	let index = 0;
+	let combinator = null;
+
+	while (index < selector.length) {
+		const compound = {combinator, tagName: null, id: null, classNames: [], attributes: []};
+		const type = matchSticky(typeSelectorRe, selector, index);
+		let hasSimpleSelector = type !== null;
+
+		if (hasSimpleSelector) {
+			index = typeSelectorRe.lastIndex;
+
+			if (type[0] !== '*') {
+				compound.tagName = type[0];
+			}
+		}
+
+		for (;;) {
+			let result;
+
+			if ((result = matchSticky(idSelectorRe, selector, index)) !== null) {
+				compound.id = result[1];
+				index = idSelectorRe.lastIndex;
+			} else if ((result = matchSticky(classSelectorRe, selector, index)) !== null) {
+				compound.classNames.push(result[1]);
+				index = classSelectorRe.lastIndex;
+			} else if ((result = matchSticky(attributeSelectorRe, selector, index)) !== null) {
+				const [, name, ...values] = result;
+
+				compound.attributes.push({name: name.toLowerCase(), value: values.find(value => value !== undefined)});
+				index = attributeSelectorRe.lastIndex;
+			} else {
+				break;
+			}
+
+			hasSimpleSelector = true;
+		}
+
+		if (!hasSimpleSelector) {
+			return null;
+		}
+
+		compounds.push(compound);
+
+		const separator = matchSticky(combinatorRe, selector, index);
+
+		if (separator === null) {
+			break;
+		}
+
+		index = combinatorRe.lastIndex;
+		combinator = separator[0].trim() === '>' ? '>' : ' ';
+
+		if (index === selector.length && combinator === '>') {
+			return null;
+		}
+	}
+
+	return index === selector.length && compounds.length !== 0 ? compounds : null;
+}
+
+// Tag names are case-insensitive in HTML. In XHTML, they are case-sensitive and only XHTML elements match them.
+function matchesTagName(tagName, element) {
+	if (element.namespace === undefined) {
+		return tagName.toLowerCase() === element.tagName;
+	}
+
+	return element.namespace === XHTML_NAMESPACE && tagName === element.localName;
+}
+
+function matchesCompound({tagName, id, classNames, attributes}, element) {
+	if (tagName !== null && !matchesTagName(tagName, element)) {
+		return false;
+	}
+
+	const attrs = new Map();
+
+	for (const {name, value} of element.attrs) {
+		if (!attrs.has(name)) {
+			attrs.set(name, value);
+		}
+	}
+
+	if (id !== null && attrs.get('id') !== id) {
+		return false;
+	}
+
+	if (classNames.length !== 0) {
+		const elementClassNames = new Set((attrs.get('class') || '').split(/\s+/u));
+
+		if (!classNames.every(className => elementClassNames.has(className))) {
+			return false;
+		}
+	}
+
+	return attributes.every(({name, value}) => attrs.has(name) && (value === undefined || attrs.get(name) === value));
+}
+
+function matchesAncestors(compounds, index, ancestors, ancestorIndex) {
+	if (index < 0) {
+		return true;
+	}
+
+	const compound = compounds[index];
+
+	if (compounds[index + 1].combinator === '>') {
+		return ancestorIndex >= 0 &&
+			matchesCompound(compound, ancestors[ancestorIndex]) &&
+			matchesAncestors(compounds, index - 1, ancestors, ancestorIndex - 1);
+	}
+
+	for (let i = ancestorIndex; i >= 0; i--) {
+		if (matchesCompound(compound, ancestors[i]) && matchesAncestors(compounds, index - 1, ancestors, i - 1)) {
+			return true;
+		}
+	}
+
+	return false;
+}
+
+function matchesSelector(compounds, element, ancestors) {
+	const lastIndex = compounds.length - 1;
+
+	return matchesCompound(compounds[lastIndex], element) &&
+		matchesAncestors(compounds, lastIndex - 1, ancestors, ancestors.length - 1);
+}
+
+// A string placeholder matches a comment whose text is the same except for the surrounding whitespace
+function matchesPlaceholder(placeholder, text) {
+	return typeof placeholder === 'string' ? text.trim() === placeholder : text.search(placeholder) !== -1;
+}
+
+// `true` makes a boolean attribute, which still needs a value in XHTML
+function serializeAttribute(name, value, isXml) {
+	if (value === true) {
+		return isXml ? `${name}="${name}"` : name;
+	}
+
+	return `${name}="${value.replace(/[&"<>]/gu, char => attributeValueEscapes[char])}"`;
+}
+
+// Merge the attribute changes of a rule into the ones made to a start tag so far, where `null` means removal.
+// A `class` is appended to the current one, except the class names it already has.
+function mergeAttributeChanges(changes, attributes, originalAttrs) {
+	for (const [key, {name, value}] of attributes) {
+		if (key !== 'class' || typeof value !== 'string') {
+			changes.set(key, {name, value});
+			continue;
+		}
+
+		const current = changes.has(key) ? changes.get(key).value : originalAttrs.get(key);
+		const currentClassNames = typeof current === 'string' ? current.split(/\s+/u) : [];
+		const newClassNames = [...new Set(value.split(/\s+/u))].filter(className => className !== '' && !currentClassNames.includes(className));
+
+		if (newClassNames.length === 0) {
+			continue;
+		}
+
+		changes.set(key, {
+			name,
+			value: typeof current === 'string' && current.trim() !== '' ? `${current} ${newClassNames.join(' ')}` : newClassNames.join(' ')
+		});
+	}
+}
+
+// An `id` identifies an element regardless of its tag name, while `src` and `href` do along with it
+function getElementKeys(tagName, attrs) {
+	return attrs
+	.filter(({name, value}) => KEY_ATTRIBUTES.has(name) && value !== '')
+	.map(({name, value}) => name === 'id' ? `#${value}` : `${tagName}[${name}=${JSON.stringify(value)}]`);
+}
+
+function getContentKeys(content) {
+	const keys = new Set();
+	const parser = new Parse5SaxParser();
+
+	parser.on('startTag', ({tagName, attrs}) => {
+		for (const key of getElementKeys(tagName, attrs)) {
+			keys.add(key);
+		}
+	});
+	parser.end(content);
+
+	return keys;
+}
+
+// Whether the same content, or an element with the same key as the one in it, precedes the offset
+function isDuplicate({duplicateOffset, snippetEndOffset}, offset) {
+	return (duplicateOffset !== null && duplicateOffset < offset) || (snippetEndOffset !== null && snippetEndOffset <= offset);
+}
+
+function countMatch(rule) {
+	rule.matchCount += 1;
+	return typeof rule.occurrence !== 'number' || rule.matchCount === rule.occurrence;
+}
 
 const push = Symbol('push');
 const flush = Symbol('flush');
 const internalWrite = Symbol('write');
 const removeAnyTokenListeners = Symbol('removeAnyTokenListeners');
 const onAnyToken = Symbol('onAnyToken');
-const onTag = Symbol('onTag');
+const onStartTag = Symbol('onStartTag');
+const onEndTag = Symbol('onEndTag');
+const insert = Symbol('insert');
+const resolveRemainingRules = Symbol('resolveRemainingRules');
+const closeImpliedElements = Symbol('closeImpliedElements');
+const getHoldOffset = Symbol('getHoldOffset');
+const fallBack = Symbol('fallBack');
+const finishIfDone = Symbol('finishIfDone');
+const addEdit = Symbol('addEdit');
+const addInsertion = Symbol('addInsertion');
+const toByteOffset = Symbol('toByteOffset');
+const byteLength = Symbol('byteLength');
+const onPrologue = Symbol('onPrologue');
+const onComment = Symbol('onComment');
+const createStartTag = Symbol('createStartTag');
+const rewriteAttributes = Symbol('rewriteAttributes');
+const scan = Symbol('scan');
+const discardScannedText = Symbol('discardScannedText');
+const findSnippets = Symbol('findSnippets');
+const checkScanLimit = Symbol('checkScanLimit');
+const insertCandidate = Symbol('insertCandidate');
+const stopParsing = Symbol('stopParsing');
+const resolveNamespace = Symbol('resolveNamespace');
+const isHeadRule = Symbol('isHeadRule');
+const encode = Symbol('encode');
+const http2Stream = Symbol('http2Stream');
+const state = Symbol('state');
+const reportInsertion = Symbol('reportInsertion');
+const reportFallback = Symbol('reportFallback');
+const settle = Symbol('settle');
+const noOptionsProvided = Symbol('noOptionsProvided');
 
 class HtmlInsertionStream extends Parse5SaxParser {
-	constructor({targetTagName, insertionChunk, insertionLength, insertToEnd}) {
+	constructor(rules) {
 		super(parserOption);
 
 		this.utf8Decoder = new TextDecoder('utf8', decoderOption);
+		// A streaming decoder of iconv-lite, used only when the HTML is not UTF-8 encoded
+		this.decoder = null;
+		this.charset = 'utf-8';
 		this.buffers = [];
+		// The decoded text from `stringBufferOffset`, where the text before the last token is discarded
 		this.stringBuffer = '';
+		this.stringBufferOffset = 0;
+		this.scannedCharOffset = 0;
+		// A char offset and its byte offset, from which the next offset is converted by counting only the text between them
+		this.charCursor = 0;
+		this.byteCursor = 0;
 		this.len = 0;
 		this.writableOffset = 0;
 		this.writtenOffset = 0;
 		this.shouldParseHtml = false;
-		this.targetTagName = targetTagName;
-		this.insertionChunk = insertionChunk;
-		this.insertToEnd = insertToEnd;
-		this.insertionLength = insertionLength;
-		this.insertionEventName = `${insertToEnd ? 'end' : 'start'}Tag`;
+		// Whether the document is XHTML, where elements are matched with their case-sensitive names and namespaces
+		this.isXml = false;
+		// Every open element keeps the rules waiting for its end tag
+		this.openElements = [];
+		// `candidate` is the insertion offset of the last match found so far, used by `occurrence: 'last'`,
+		// and `startTagCandidate` is the start tag whose attributes it rewrites.
+		// `duplicateOffset` and `snippetEndOffset` are the offsets of the first element with the same key as the content
+		// and of the end of the first same snippet, used by `dedupe` option.
+		this.rules = rules.map((rule, index) => {
+			return {
+				...rule,
+				index,
+				matchCount: 0,
+				candidate: null,
+				startTagCandidate: null,
+				hasInserted: false,
+				contentKeys: null,
+				duplicateOffset: null,
+				snippetEndOffset: null,
+				snippetSearchOffset: 0,
+				skipReason: null
+			};
+		});
+		this.pendingRules = new Set(this.rules);
+		// Byte length of the original body that the HTML parser has gone through, up to `maxScanBytes` option
+		this.bytesScanned = 0;
+		this.maxScanBytes = rules[0].maxScanBytes;
+		// Whether parsing has been given up because of `maxScanBytes` option, while some fallbacks still wait for the end
+		this.isScanStopped = false;
+		// Byte length the body grows by other than the contents themselves,
+		// negative for the placeholder comments replaced with them, and the difference made by rewriting attributes
+		this.extraLength = 0;
+
+		// Where `fallback: 'prepend'` inserts a content, that is, just after the XML declaration and the doctype if any
+		this.documentStartOffset = 0;
+		this.hasDecodedText = false;
+		this.hasStartTag = false;
+		// Where `fallback: 'create'` puts a missing <head>, just after the <html> start tag if the document begins with it
+		this.headOffset = null;
+
+		// Every edit replaces the original bytes in [start, end) with its chunk.
+		// Offsets are based on the original, unmodified byte sequence.
+		this.edits = [];
 
 		for (const eventName of PARSER_EVENTS) {
 			this.on(eventName, this[onAnyToken]);
 		}
 
-		this.on(this.insertionEventName, this[onTag]);
+		this.on('startTag', this[onStartTag]);
+		this.on('endTag', this[onEndTag]);
+		this.on('doctype', this[onPrologue]);
+		this.on('comment', this[onPrologue]);
+		this.on('comment', this[onComment]);
+
+		// Check the limit after every other listener, so that the token crossing it is still handled
+		if (this.maxScanBytes !== null) {
+			for (const eventName of PARSER_EVENTS) {
+				this.on(eventName, this[checkScanLimit]);
+			}
+		}
 	}
 
 	[push](data) {
@@ -58,8 +505,64 @@ class HtmlInsertionStream extends Parse5SaxParser {
 		return data;
 	}
 
+	// Make the parser decode the HTML in the given charset, and encode the inserted contents into it.
+	// Return the total byte length of the encoded contents.
+	setCharset(charset) {
+		const isUtf8 = utf8Re.test(charset);
+
+		// `charset=utf-16` without a BOM means little-endian https://encoding.spec.whatwg.org/#names-and-labels
+		if (utf16Re.test(charset) && utf16Re.exec(charset).groups.byteOrder === undefined) {
+			charset = 'utf-16le';
+		}
+
+		for (const rule of this.pendingRules) {
+			if (typeof rule.content !== 'string') {
+				continue;
+			}
+
+			if (isUtf8) {
+				rule.insertionChunk = Buffer.from(rule.content);
+				continue;
+			}
+
+			const insertionChunk = iconv.encode(rule.content, charset, encoderOption);
+
+			if (iconv.decode(insertionChunk, charset) !== rule.content) {
+				const error = new Error(`${inspect(rule.content)} cannot be inserted into the HTML encoded in ${
+					charset
+				}, because it includes a character that cannot be represented in ${charset}.`);
+
+				error.code = 'ERR_UNENCODABLE_CONTENT';
+				throw error;
+			}
+
+			rule.insertionChunk = insertionChunk;
+		}
+
+		this.charset = isUtf8 ? 'utf-8' : charset;
+		this.decoder = isUtf8 ? null : iconv.getDecoder(charset, iconvDecoderOption);
+
+		let insertionLength = 0;
+
+		for (const {insertionChunk} of this.pendingRules) {
+			if (insertionChunk !== null) {
+				insertionLength += insertionChunk.length;
+			}
+		}
+
+		return insertionLength;
+	}
+
+	[byteLength](str) {
+		return this.decoder === null ? Buffer.byteLength(str) : iconv.encode(str, this.charset, encoderOption).length;
+	}
+
+	[encode](str) {
+		return this.decoder === null ? Buffer.from(str) : iconv.encode(str, this.charset, encoderOption);
+	}
+
 	[internalWrite](data, encoding, isLast) {
-		if (this.shouldParseHtml && encoding && typeof encoding !== 'function' && !utf8Re.test(encoding)) {
+		if (this.shouldParseHtml && this.decoder === null && encoding && typeof encoding !== 'function' && !utf8Re.test(encoding)) {
 			const error = new Error(`HTML must be UTF-8 encoded https://github.com/w3c/html/pull/1273, but encoded in ${
 				encoding
 			}.`);
@@ -69,12 +572,37 @@ class HtmlInsertionStream extends Parse5SaxParser {
 			return true;
 		}
 
-		if (!this[push](data)) {
+		// The last write finishes decoding even with no data, so that a truncated character at the end is detected
+		if (!this[push](data) && !isLast) {
+			return true;
+		}
+
+		if (this.isScanStopped) {
+			this.writableOffset = this.writtenOffset + this.len;
 			return true;
 		}
 
+		// A BOM at the beginning overrides the byte order of UTF-16 that the label specifies https://encoding.spec.whatwg.org/#decode
+		if (this.writtenOffset === 0 && this.len === data.length && data.length >= 2 && utf16Re.test(this.charset)) {
+			if (data[0] === 0xFE && data[1] === 0xFF) {
+				this.setCharset('utf-16be');
+			} else if (data[0] === 0xFF && data[1] === 0xFE) {
+				this.setCharset('utf-16le');
+			}
+		}
+
 		let str;
 
+		if (this.decoder !== null) {
+			str = this.decoder.write(data);
+
+			if (isLast) {
+				str += this.decoder.end() || '';
+			}
+
+			return this[scan](str);
+		}
+
 		try {
 			str = isLast ?
 				this.utf8Decoder.decode(Uint8Array.from(data)) :
@@ -82,12 +610,80 @@ class HtmlInsertionStream extends Parse5SaxParser {
 		} catch (err) {
 			err.message = 'The HTML cannot be encoded to a valid UTF-8 character sequence.';
 			this.emit('error', err);
+
+			return true;
+		}
+
+		return this[scan](str);
+	}
+
+	[scan](str) {
+		if (!this.hasDecodedText && str.length !== 0) {
+			this.hasDecodedText = true;
+
+			// The BOM is not a part of the document, but the contents have to be inserted after it
+			if (str.charCodeAt(0) === 0xFEFF) {
+				str = str.slice(1);
+				this.byteCursor = this[byteLength]('\uFEFF');
+				this.documentStartOffset = this.byteCursor;
+			}
 		}
 
+		this[discardScannedText]();
 		this.stringBuffer += str;
+		this[findSnippets]();
+
 		return super.write(str);
 	}
 
+	// Every token to come starts after the last one, so the text before it is no longer needed,
+	// except the end of the text where a snippet for `dedupe` option might begin
+	[discardScannedText]() {
+		const bufferEndOffset = this.stringBufferOffset + this.stringBuffer.length;
+		let discardOffset = this.scannedCharOffset;
+
+		for (const {dedupe, content, snippetEndOffset} of this.pendingRules) {
+			if (dedupe && snippetEndOffset === null && typeof content === 'string' && content.length !== 0) {
+				discardOffset = Math.min(discardOffset, bufferEndOffset - content.length + 1);
+			}
+		}
+
+		// Don't split a surrogate pair, whose halves are counted as different bytes
+		if (/[\uDC00-\uDFFF]/u.test(this.stringBuffer[discardOffset - this.stringBufferOffset])) {
+			discardOffset--;
+		}
+
+		if (discardOffset <= this.stringBufferOffset) {
+			return;
+		}
+
+		this[toByteOffset](discardOffset);
+		this.stringBuffer = this.stringBuffer.slice(discardOffset - this.stringBufferOffset);
+		this.stringBufferOffset = discardOffset;
+	}
+
+	// Search only the text appended since the last search for the first snippet same as each content of `dedupe` option
+	[findSnippets]() {
+		const bufferEndOffset = this.stringBufferOffset + this.stringBuffer.length;
+
+		for (const rule of this.pendingRules) {
+			const {dedupe, content, snippetEndOffset, snippetSearchOffset} = rule;
+
+			if (!dedupe || snippetEndOffset !== null || typeof content !== 'string' || content.length === 0) {
+				continue;
+			}
+
+			const searchOffset = Math.max(this.stringBufferOffset, snippetSearchOffset - content.length + 1);
+			const index = this.stringBuffer.indexOf(content, searchOffset - this.stringBufferOffset);
+
+			rule.snippetSearchOffset = bufferEndOffset;
+
+			if (index !== -1) {
+				rule.snippetEndOffset = this[toByteOffset](this.stringBufferOffset + index + content.length);
+			}
+		}
+	}
+
 	write(data, encoding) {
 		return this[internalWrite](data, encoding, false);
 	}
@@ -97,15 +693,34 @@ class HtmlInsertionStream extends Parse5SaxParser {
 	}
 
 	[flush]() {
-		if (this.buffers.length === 1) {
-			return this.buffers.pop();
+		if (this.shouldParseHtml) {
+			if (!this.isScanStopped) {
+				this.bytesScanned = this.writtenOffset + this.len;
+			}
+
+			this[resolveRemainingRules]();
 		}
 
-		return Buffer.concat(this.buffers.splice(0), this.len);
+		this.writableOffset = this.writtenOffset + this.len;
+		return this.getWritableBuffer();
+	}
+
+	// Count the bytes of the text between the char offset and the last converted one, so that scanning takes linear time
+	[toByteOffset](charOffset) {
+		const {charCursor, byteCursor, stringBufferOffset} = this;
+
+		this.byteCursor = charOffset < charCursor ?
+			byteCursor - this[byteLength](this.stringBuffer.substring(charOffset - stringBufferOffset, charCursor - stringBufferOffset)) :
+			byteCursor + this[byteLength](this.stringBuffer.substring(charCursor - stringBufferOffset, charOffset - stringBufferOffset));
+		this.charCursor = charOffset;
+
+		return this.byteCursor;
 	}
 
 	[onAnyToken]({sourceCodeLocation: {endOffset}}) {
-		this.writableOffset = Buffer.byteLength(this.stringBuffer.substring(0, endOffset));
+		this.scannedCharOffset = endOffset;
+		this.writableOffset = this[toByteOffset](endOffset);
+		this.bytesScanned = this.writableOffset;
 	}
 
 	[removeAnyTokenListeners]() {
@@ -114,353 +729,2990 @@ class HtmlInsertionStream extends Parse5SaxParser {
 		}
 	}
 
-	[onTag]({tagName, sourceCodeLocation: {startOffset, endOffset}}) {
-		if (tagName !== this.targetTagName) {
-			return;
-		}
-
-		this[removeAnyTokenListeners]();
-		this.off(this.insertionEventName, this[onTag]);
-		this.stop();
-		this.shouldParseHtml = false;
+	[addEdit](start, end, chunk) {
+		let index = this.edits.length;
 
-		const insertionIndex = Buffer.byteLength(this.stringBuffer.substring(
-			0,
-			this.insertToEnd ? startOffset : endOffset
-		)) - this.writtenOffset;
-		let index = 0;
+		// Keep edits sorted by their start offsets, and the ones with the same offset in the order they're added
+		while (index !== 0 && this.edits[index - 1].start > start) {
+			index--;
+		}
 
-		for (const [arrIndex, buffer] of this.buffers.entries()) {
-			if (index + buffer.length >= insertionIndex) {
-				const sliceIndex = insertionIndex - index;
+		const edit = {start, end, chunk};
 
-				this.buffers.splice(
-					arrIndex,
-					1,
-					buffer.slice(0, sliceIndex),
-					this.insertionChunk,
-					buffer.slice(sliceIndex)
-				);
+		this.edits.splice(index, 0, edit);
+		return edit;
+	}
 
-				break;
-			}
+	// Insert a chunk at the offset, replacing the original bytes up to `end` if given, for example a placeholder comment
+	[addInsertion](rule, offset, chunk, end = offset) {
+		if (rule.dedupe && isDuplicate(rule, offset)) {
+			this.extraLength -= rule.insertionChunk.length;
+			rule.skipReason = 'duplicate';
 
-			index += buffer.length;
+			return;
 		}
 
-		this.len += this.insertionLength;
-
-		this.end();
+		this[addEdit](offset, end, chunk);
+		this.extraLength -= end - offset;
+		rule.hasInserted = true;
+		this.emit('inserted', {index: rule.index, content: rule.content, offset});
 	}
 
-	getWritableBuffer() {
-		if (this.writableOffset === 0) {
-			return Buffer.alloc(0);
+	[insert](rule, offset, matchCount, end = offset) {
+		if (rule.occurrence === 'last') {
+			// An element closed later can have been matched earlier, e.g. the outer one of nested matched elements
+			if (rule.candidate === null || rule.candidate.matchCount < matchCount) {
+				rule.candidate = {offset, end, matchCount};
+			}
+
+			return;
 		}
-		const writableLen = this.writableOffset - this.writtenOffset;
 
-		this.writtenOffset = this.writableOffset;
-		this.writableOffset = 0;
-		this.len -= writableLen;
+		this[addInsertion](rule, offset, rule.insertionChunk, end);
 
-		let start = 0;
-		let writingBuffers;
+		if (rule.occurrence !== 'all') {
+			this.pendingRules.delete(rule);
+		}
+	}
 
-		for (const [arrIndex, buffer] of this.buffers.entries()) {
-			const nextStart = start + buffer.length;
+	// Give an XHTML element its case-sensitive local name, its namespace and the namespace declarations in scope
+	[resolveNamespace](element, startOffset) {
+		const parent = this.openElements[this.openElements.length - 1];
+		const inheritedNamespaces = parent === undefined ? DEFAULT_NAMESPACES : parent.namespaces;
+		let namespaces = inheritedNamespaces;
 
-			if (nextStart === writableLen) {
-				writingBuffers = this.buffers.splice(0, arrIndex + 1);
-				break;
+		for (const {name, value} of element.attrs) {
+			if (name !== 'xmlns' && !name.startsWith('xmlns:')) {
+				continue;
 			}
 
-			if (nextStart > writableLen) {
-				const sliceIndex = writableLen - start;
-
-				writingBuffers = this.buffers.splice(0, arrIndex + 1, buffer.slice(sliceIndex));
-				writingBuffers[writingBuffers.length - 1] = buffer.slice(0, sliceIndex);
-				break;
+			if (namespaces === inheritedNamespaces) {
+				namespaces = new Map(inheritedNamespaces);
 			}
 
-			start = nextStart;
+			// 'xmlns' declares the default namespace, and 'xmlns:prefix' declares the one of the prefix
+			namespaces.set(name.slice('xmlns:'.length), value);
 		}
 
-		return Buffer.concat(writingBuffers, writableLen);
-	}
-}
-
-function ensureResponseSetHeaderWorks(res) {
-	if (res === null || typeof res !== 'object' || typeof res.setHeader !== 'function') {
-		const error = new TypeError(`Expected a ServerResponse object, but got ${inspectWithKind(res)}.`);
-
-		error.code = 'ERR_INVALID_ARG_TYPE';
-		Error.captureStackTrace(ensureResponseSetHeaderWorks);
+		// The tokenizer lowercases tag names, so take the name as written from the source
+		const [rawTagName] = matchSticky(rawTagNameRe, this.stringBuffer, startOffset + 1 - this.stringBufferOffset);
+		const colonIndex = rawTagName.indexOf(':');
 
-		throw error;
+		element.localName = rawTagName.slice(colonIndex + 1);
+		element.namespace = namespaces.get(colonIndex === -1 ? '' : rawTagName.slice(0, colonIndex).toLowerCase()) || null;
+		element.namespaces = namespaces;
 	}
 
-	// ref. https://nodejs.org/api/http.html#http_response_writehead_statuscode_statusmessage_headers
-	// If this method is called and `response.setHeader()` has not been called,
-	// it will directly write the supplied header values onto the network channel without caching internally,
-	// and the `response.getHeader()` on the header will not yield the expected result.
-	// If progressive population of headers is desired with potential future retrieval and modification,
-	// use `response.setHeader()` instead.
+	// Keep what is needed to rewrite the attributes of a start tag, which can be done again until the tag is written.
+	// Offsets are converted into bytes here, since the text is discarded after the tag is scanned.
+	[createStartTag](attrs, selfClosing, {startOffset, endOffset, attrs: locations = {}}) {
+		const attributeOffsets = new Map();
 
-	try {
-		res.setHeader(TMP_HEADER_NAME, '1');
-		res.removeHeader(TMP_HEADER_NAME);
-	} catch {}
-}
+		for (const [name, location] of Object.entries(locations)) {
+			let removalStartOffset = location.startOffset;
 
-function hasHtmlContentType(res) {
-	const contentTypeHeader = res.getHeader('content-type');
+			// A removed attribute takes the whitespace before it together
+			while (/\s/u.test(this.stringBuffer[removalStartOffset - this.stringBufferOffset - 1])) {
+				removalStartOffset--;
+			}
 
-	try {
-		return parseContentType(contentTypeHeader).type === 'text/html';
-	} catch ({message}) {
-		const error = new TypeError(`${inspect(contentTypeHeader)} is not a valid value for content-type header: ${
-			message
-		}.`);
+			attributeOffsets.set(name, {
+				removalStart: this[toByteOffset](removalStartOffset),
+				start: this[toByteOffset](location.startOffset),
+				end: this[toByteOffset](location.endOffset)
+			});
+		}
 
-		Error.captureStackTrace(error, hasHtmlContentType);
-		res.emit('error', error);
+		return {
+			start: this[toByteOffset](startOffset),
+			// The first one of the duplicate attributes is in effect
+			attrs: new Map(attrs.map(({name, value}) => [name, value]).reverse()),
+			attributeOffsets,
+			// New attributes are added just before `>` or `/>`
+			end: this[toByteOffset](selfClosing ? endOffset - 2 : endOffset - 1),
+			changes: new Map(),
+			edits: []
+		};
 	}
 
-	return false;
-}
+	// Replace only the bytes of the attributes to be changed, along with the whitespace before the removed ones
+	[rewriteAttributes](startTag, attributes) {
+		mergeAttributeChanges(startTag.changes, attributes, startTag.attrs);
 
-function main(res, insertionChunk, insertionLength, etag, targetTagName, insertToEnd) { // eslint-disable-line max-params
-	if (res.headersSent) {
-		return;
-	}
+		for (const edit of startTag.edits) {
+			this.edits.splice(this.edits.indexOf(edit), 1);
+			this.extraLength -= edit.chunk.length - (edit.end - edit.start);
+		}
 
-	ensureResponseSetHeaderWorks(res);
+		startTag.edits = [];
 
-	const originalWrite = res.write.bind(res);
-	const originalEnd = res.end.bind(res);
-	const originalSetHeader = res.setHeader.bind(res);
+		for (const [key, {name, value}] of startTag.changes) {
+			const offsets = startTag.attributeOffsets.get(key);
+			let edit;
 
-	const parser = new HtmlInsertionStream({targetTagName, insertionChunk, insertionLength, insertToEnd})
-	.on('error', err => res.emit('error', err));
+			if (offsets !== undefined) {
+				edit = value === null ?
+					this[addEdit](offsets.removalStart, offsets.end, Buffer.alloc(0)) :
+					this[addEdit](offsets.start, offsets.end, this[encode](serializeAttribute(name, value, this.isXml)));
+			} else if (value !== null) {
+				edit = this[addEdit](startTag.end, startTag.end, this[encode](` ${serializeAttribute(name, value, this.isXml)}`));
+			} else {
+				continue;
+			}
 
-	function restoreOriginalMethods() {
-		res.setHeader = originalSetHeader;
-		res.write = originalWrite;
-		res.end = originalEnd;
+			this.extraLength += edit.chunk.length - (edit.end - edit.start);
+			startTag.edits.push(edit);
+		}
 	}
 
-	res.prependListener('error', restoreOriginalMethods);
+	[onStartTag]({tagName, attrs, selfClosing, sourceCodeLocation}) {
+		const {startOffset, endOffset} = sourceCodeLocation;
+		const element = {tagName, attrs, rules: []};
+		// XHTML has no void elements, where every empty element is self-closed instead
+		const isVoid = selfClosing || (!this.isXml && VOID_ELEMENTS.has(tagName));
+		let startTag = null;
 
-	function adjustContentLength(originalContentLengthHeaderValue) {
-		let originalContentLength;
+		if (this.isXml) {
+			this[resolveNamespace](element, startOffset);
+		} else {
+			this[closeImpliedElements](tagName, startOffset);
+		}
 
-		if (typeof originalContentLengthHeaderValue === 'number') {
-			originalContentLength = originalContentLengthHeaderValue;
+		for (const rule of this.pendingRules) {
+			if (rule.dedupe && rule.duplicateOffset === null && typeof rule.content === 'string') {
+				rule.contentKeys = rule.contentKeys || getContentKeys(rule.content);
 
-			if (!Number.isInteger(originalContentLength) || originalContentLength < 0) {
-				res.removeHeader('content-length');
-				res.emit('error', new Error(`${CONTENT_LENGTH_ERROR}, but it was ${
-					inspect(originalContentLengthHeaderValue)
-				}.`));
+				if (getElementKeys(tagName, attrs).some(key => rule.contentKeys.has(key))) {
+					rule.duplicateOffset = this[toByteOffset](startOffset);
+				}
+			}
 
-				return;
+			if (rule.placeholder !== null || !matchesSelector(rule.selector, element, this.openElements) || !countMatch(rule)) {
+				continue;
 			}
-		} else {
-			originalContentLength = parseInt(originalContentLengthHeaderValue, 10);
-			if (/\D/u.test(`${originalContentLengthHeaderValue}`)) {
-				res.removeHeader('content-length');
-				res.emit('error', new Error(`${CONTENT_LENGTH_ERROR}, but it was ${
-					inspect(originalContentLengthHeaderValue)
-				}.`));
 
-				return;
+			if (rule.attributes !== null) {
+				startTag = startTag || this[createStartTag](attrs, selfClosing, sourceCodeLocation);
+
+				if (rule.occurrence === 'last') {
+					rule.startTagCandidate = startTag;
+				} else {
+					this[rewriteAttributes](startTag, rule.attributes);
+				}
 			}
-		}
 
-		if (parser.shouldParseHtml && res.getHeader('content-length') !== originalContentLength + insertionLength) {
-			originalSetHeader('content-length', `${originalContentLength + insertionLength}`);
+			if (rule.position === 'beforebegin') {
+				this[insert](rule, this[toByteOffset](startOffset), rule.matchCount);
+			} else if (rule.position === 'afterbegin' || isVoid) {
+				this[insert](rule, this[toByteOffset](endOffset), rule.matchCount);
+			} else {
+				element.rules.push({rule, matchCount: rule.matchCount});
+			}
 		}
-	}
 
-	function updateHeaders() {
-		if (res.hasHeader('content-type')) {
-			parser.shouldParseHtml = hasHtmlContentType(res);
+		if (!isVoid) {
+			this.openElements.push(element);
 		}
 
-		if (res.hasHeader('content-length')) {
-			adjustContentLength(res.getHeader('content-length'));
+		if (!this.hasStartTag && (this.isXml ? element.localName === 'html' && element.namespace === XHTML_NAMESPACE : tagName === 'html')) {
+			this.headOffset = this[toByteOffset](endOffset);
 		}
 
-		if (etag.length !== 0 && parser.shouldParseHtml && res.hasHeader('etag')) {
-			originalSetHeader('etag', `${res.getHeader('etag')}${etag}`);
-			etag = '';
-		}
+		this.hasStartTag = true;
+
+		this[finishIfDone](endOffset);
+	}
+
+	// Close the open elements whose end tags are omitted before the start tag, for example the first <li> of `<li>a<li>b`
+	[closeImpliedElements](tagName, startOffset) {
+		let element = this.openElements[this.openElements.length - 1];
+
+		while (element !== undefined && IMPLIED_END_TAGS.has(element.tagName) && IMPLIED_END_TAGS.get(element.tagName).has(tagName)) {
+			for (const {rule, matchCount} of element.rules) {
+				this[insert](rule, this[toByteOffset](startOffset), matchCount);
+			}
+
+			this.openElements.pop();
+			element = this.openElements[this.openElements.length - 1];
+		}
+	}
+
+	[onEndTag]({tagName, sourceCodeLocation: {startOffset, endOffset}}) {
+		let index = this.openElements.length - 1;
+
+		while (index !== -1 && this.openElements[index].tagName !== tagName) {
+			index--;
+		}
+
+		if (index === -1) {
+			// Also accept an end tag whose start tag is omitted, for example `</body>` of `<html>A</body></html>`
+			for (const rule of this.pendingRules) {
+				if (
+					rule.targetTagName === null ||
+					rule.targetTagName.toLowerCase() !== tagName ||
+					rule.position === 'beforebegin' ||
+					rule.position === 'afterbegin' ||
+					!countMatch(rule)
+				) {
+					continue;
+				}
+
+				this[insert](rule, this[toByteOffset](rule.position === 'beforeend' ? startOffset : endOffset), rule.matchCount);
+			}
+		} else {
+			// The end tag also closes every element opened after the corresponding start tag, innermost first
+			for (let elementIndex = this.openElements.length - 1; elementIndex >= index; elementIndex--) {
+				const isClosedByThisTag = elementIndex === index;
+
+				// An element left open without an omissible end tag doesn't necessarily end here, so its rules keep waiting
+				if (!isClosedByThisTag && (this.isXml || !OMISSIBLE_END_TAG_ELEMENTS.has(this.openElements[elementIndex].tagName))) {
+					continue;
+				}
+
+				for (const {rule, matchCount} of this.openElements[elementIndex].rules) {
+					const charOffset = rule.position === 'afterend' && isClosedByThisTag ? endOffset : startOffset;
+
+					this[insert](rule, this[toByteOffset](charOffset), matchCount);
+				}
+			}
+
+			this.openElements.splice(index);
+		}
+
+		this[finishIfDone](endOffset);
+	}
+
+	// Replace a comment matching the placeholder of a rule with its content
+	[onComment]({text, sourceCodeLocation: {startOffset, endOffset}}) {
+		for (const rule of this.pendingRules) {
+			if (rule.placeholder === null || !matchesPlaceholder(rule.placeholder, text) || !countMatch(rule)) {
+				continue;
+			}
+
+			this[insert](rule, this[toByteOffset](startOffset), rule.matchCount, this[toByteOffset](endOffset));
+		}
+
+		this[finishIfDone](endOffset);
+	}
+
+	// Both a doctype and an XML declaration, which the tokenizer reads as a comment, precede the contents prepended as a fallback
+	[onPrologue]({text, sourceCodeLocation: {endOffset}}) {
+		if (!this.hasStartTag && (text === undefined || text.startsWith('?xml'))) {
+			this.documentStartOffset = this[toByteOffset](endOffset);
+		}
+	}
+
+	[isHeadRule]({targetTagName}) {
+		return targetTagName !== null && (this.isXml ? targetTagName : targetTagName.toLowerCase()) === 'head';
+	}
+
+	[resolveRemainingRules]() {
+		const documentEndOffset = this.writtenOffset + this.len;
+
+		// Elements still open at the end of the document are implicitly closed there
+		for (const element of this.openElements.reverse()) {
+			for (const {rule, matchCount} of element.rules) {
+				this[insert](rule, documentEndOffset, matchCount);
+			}
+		}
+
+		this.openElements = [];
+
+		for (const rule of this.pendingRules) {
+			if (!this[insertCandidate](rule) && !rule.hasInserted) {
+				this[fallBack](rule, documentEndOffset);
+			}
+		}
+
+		this.pendingRules.clear();
+	}
+
+	// Apply the last match of `occurrence: 'last'` found so far, and return whether there is one
+	[insertCandidate](rule) {
+		if (rule.startTagCandidate !== null) {
+			this[rewriteAttributes](rule.startTagCandidate, rule.attributes);
+		}
+
+		if (rule.candidate === null) {
+			return false;
+		}
+
+		this[addInsertion](rule, rule.candidate.offset, rule.insertionChunk, rule.candidate.end);
+		return true;
+	}
+
+	// Give up the targets not found within `maxScanBytes` option, as if the document ended there,
+	// except that `fallback: 'append'` and `fallback: 'create'` still wait for the actual end
+	[checkScanLimit]({sourceCodeLocation: {endOffset}}) {
+		if (this.pendingRules.size === 0 || this[toByteOffset](endOffset) <= this.maxScanBytes) {
+			return;
+		}
+
+		this.bytesScanned = this[toByteOffset](endOffset);
+		this.openElements = [];
+
+		for (const rule of this.pendingRules) {
+			const {fallback} = rule;
+
+			if (this[insertCandidate](rule) || rule.hasInserted) {
+				this.pendingRules.delete(rule);
+			} else if (fallback === 'none') {
+				rule.skipReason = 'scan-limit';
+				this.extraLength -= rule.insertionChunk.length;
+				this.pendingRules.delete(rule);
+			} else if (fallback === 'prepend' || (fallback === 'create' && this[isHeadRule](rule))) {
+				this[fallBack](rule, null);
+				this.pendingRules.delete(rule);
+			}
+		}
+
+		if (this.pendingRules.size === 0) {
+			this[finishIfDone](endOffset);
+			return;
+		}
+
+		this[stopParsing]();
+		this.isScanStopped = true;
+		this.writableOffset = this.writtenOffset + this.len;
+	}
+
+	// Insert a content whose target never appeared, according to its `fallback` option
+	[fallBack](rule, documentEndOffset) {
+		const {fallback, targetTagName, insertionChunk} = rule;
+
+		if (fallback === 'prepend') {
+			this[addInsertion](rule, this.documentStartOffset, insertionChunk);
+		} else if (fallback === 'append') {
+			this[addInsertion](rule, documentEndOffset, insertionChunk);
+		} else if (fallback === 'create') {
+			let offset = documentEndOffset;
+
+			if (this[isHeadRule](rule)) {
+				offset = this.headOffset === null ? this.documentStartOffset : this.headOffset;
+			}
+
+			const attributes = rule.attributes === null ? '' : [...rule.attributes.values()]
+			.filter(({value}) => value !== null)
+			.map(({name, value}) => ` ${serializeAttribute(name, value, this.isXml)}`)
+			.join('');
+
+			this[addInsertion](rule, offset, Buffer.concat([
+				this[encode](`<${targetTagName}${attributes}>`),
+				insertionChunk,
+				this[encode](`</${targetTagName}>`)
+			]));
+		}
+
+		this.emit('fallback', {index: rule.index, content: rule.content, fallback});
+	}
+
+	// Whether the total length of the insertions can still change depending on whether the targets appear
+	hasUncertainInsertion() {
+		const waitingRules = new Set();
+
+		for (const element of this.openElements) {
+			for (const {rule} of element.rules) {
+				waitingRules.add(rule);
+			}
+		}
+
+		for (const rule of this.pendingRules) {
+			// Whether the content is a duplicate is unknown until it is inserted
+			if (rule.dedupe && !rule.hasInserted) {
+				return true;
+			}
+
+			// The length of a placeholder comment replaced with the content, or of the rewritten attributes, is unknown until it appears
+			if (
+				(rule.placeholder !== null || rule.attributes !== null || rule.fallback === 'none' || rule.fallback === 'create') &&
+				!rule.hasInserted &&
+				rule.candidate === null &&
+				!waitingRules.has(rule)
+			) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	// Stop parsing once every rule is done, at the end of the tag whose offset is given
+	[finishIfDone](endOffset) {
+		if (this.pendingRules.size !== 0) {
+			return;
+		}
+
+		this.bytesScanned = this[toByteOffset](endOffset);
+		this[stopParsing]();
+		this.shouldParseHtml = false;
+		this.writableOffset = this.writtenOffset + this.len;
+	}
+
+	[stopParsing]() {
+		this[removeAnyTokenListeners]();
+		this.off('startTag', this[onStartTag]);
+		this.off('endTag', this[onEndTag]);
+		this.off('doctype', this[onPrologue]);
+		this.off('comment', this[onPrologue]);
+		this.off('comment', this[onComment]);
+
+		for (const eventName of PARSER_EVENTS) {
+			this.off(eventName, this[checkScanLimit]);
+		}
+
+		this.stop();
+		this.stringBuffer = '';
+
+		this.end();
+	}
+
+	// Bytes after the last insertion candidate cannot be written, because it might be replaced with a later match.
+	// Neither can the document while a content might be inserted into its beginning as a fallback.
+	[getHoldOffset]() {
+		let holdOffset = Infinity;
+
+		for (const rule of this.pendingRules) {
+			const {candidate, startTagCandidate, hasInserted, fallback} = rule;
+
+			if (startTagCandidate !== null) {
+				holdOffset = Math.min(holdOffset, startTagCandidate.start);
+			}
+
+			if (candidate !== null) {
+				holdOffset = Math.min(holdOffset, candidate.offset);
+			} else if (!hasInserted && (fallback === 'prepend' || (fallback === 'create' && this[isHeadRule](rule)))) {
+				holdOffset = Math.min(holdOffset, this.documentStartOffset);
+			}
+		}
+
+		return holdOffset;
+	}
+
+	getWritableBuffer() {
+		const writableOffset = Math.min(this.writableOffset, this[getHoldOffset]());
+		const writableLen = writableOffset - this.writtenOffset;
+
+		// An edit at the writable offset, such as `fallback: 'append'`, still has to be written even if no byte is left
+		if (writableLen < 0 || (writableLen === 0 && (this.edits.length === 0 || this.edits[0].end !== writableOffset))) {
+			return Buffer.alloc(0);
+		}
+
+		const original = this.buffers.length === 1 ? this.buffers[0] : Buffer.concat(this.buffers, this.len);
+		const rest = original.slice(writableLen);
+
+		this.buffers.splice(0, this.buffers.length, ...rest.length === 0 ? [] : [rest]);
+		this.len -= writableLen;
+
+		const chunks = [];
+		let cursor = 0;
+
+		while (this.edits.length !== 0 && this.edits[0].end - this.writtenOffset <= writableLen) {
+			const {start, end, chunk} = this.edits.shift();
+
+			chunks.push(original.slice(cursor, start - this.writtenOffset), chunk);
+			cursor = end - this.writtenOffset;
+		}
+
+		chunks.push(original.slice(cursor, writableLen));
+		this.writtenOffset = writableOffset;
+
+		return Buffer.concat(chunks);
+	}
+}
+
+function ensureResponseSetHeaderWorks(res) {
+	if (res === null || typeof res !== 'object' || typeof res.setHeader !== 'function') {
+		const error = new TypeError(`Expected a ServerResponse object, but got ${inspectWithKind(res)}.`);
+
+		error.code = 'ERR_INVALID_ARG_TYPE';
+		Error.captureStackTrace(ensureResponseSetHeaderWorks);
+
+		throw error;
+	}
+
+	// ref. https://nodejs.org/api/http.html#http_response_writehead_statuscode_statusmessage_headers
+	// If this method is called and `response.setHeader()` has not been called,
+	// it will directly write the supplied header values onto the network channel without caching internally,
+	// and the `response.getHeader()` on the header will not yield the expected result.
+	// If progressive population of headers is desired with potential future retrieval and modification,
+	// use `response.setHeader()` instead.
+
+	try {
+		res.setHeader(TMP_HEADER_NAME, '1');
+		res.removeHeader(TMP_HEADER_NAME);
+	} catch {}
+}
+
+function matchesMediaTypePattern(pattern, mediaType) {
+	const [type, subtype] = pattern.split('/');
+	const [actualType, actualSubtype] = mediaType.split('/');
+
+	if (type !== '*' && type !== actualType) {
+		return false;
+	}
+
+	if (subtype.startsWith('*')) {
+		return actualSubtype.endsWith(subtype.slice(1));
+	}
+
+	return subtype === actualSubtype;
+}
+
+function createMediaTypeMatcher(patterns) {
+	const lowerCasePatterns = patterns.map(pattern => pattern.toLowerCase());
+
+	return mediaType => lowerCasePatterns.some(pattern => matchesMediaTypePattern(pattern, mediaType));
+}
+
+const isDefaultMediaType = createMediaTypeMatcher(DEFAULT_MEDIA_TYPES);
+
+function prepareMediaTypeMatcher(mediaTypes) {
+	if (mediaTypes === undefined) {
+		return isDefaultMediaType;
+	}
+
+	if (typeof mediaTypes === 'function') {
+		return mediaType => Boolean(mediaTypes(mediaType));
+	}
+
+	return createMediaTypeMatcher(typeof mediaTypes === 'string' ? [mediaTypes] : mediaTypes);
+}
+
+// Return the media type of the content-type header value if contents are to be inserted into it, otherwise `null`
+function getTargetMediaType(contentTypeHeader, isTargetMediaType) {
+	let type;
+
+	try {
+		({type} = parseContentType(contentTypeHeader));
+	} catch ({message}) {
+		const error = new TypeError(`${inspect(contentTypeHeader)} is not a valid value for content-type header: ${
+			message
+		}.`);
+
+		Error.captureStackTrace(error, getTargetMediaType);
+		throw error;
+	}
+
+	return isTargetMediaType(type) ? type : null;
+}
+
+function getTargetMediaTypeOfResponse(res, isTargetMediaType) {
+	try {
+		return getTargetMediaType(res.getHeader('content-type'), isTargetMediaType);
+	} catch (err) {
+		res.emit('error', err);
+	}
+
+	return null;
+}
+
+// A stateful encoding such as UTF-7 encodes a character differently depending on the ones before it,
+// where the byte offsets cannot be counted by encoding each part of the text separately
+function isSupportedCharset(charset) {
+	if (!iconv.encodingExists(charset)) {
+		return false;
+	}
+
+	const pieces = [...CHARSET_PROBE].map(char => iconv.encode(char, charset, encoderOption));
+	return Buffer.concat(pieces).equals(iconv.encode(CHARSET_PROBE, charset, encoderOption));
+}
+
+// https://html.spec.whatwg.org/multipage/parsing.html#prescan-a-byte-stream-to-determine-its-encoding
+function sniffCharset(data) {
+	const result = metaCharsetRe.exec(typeof data === 'string' ?
+		data.slice(0, PRESCAN_LENGTH) :
+		data.toString('latin1', 0, PRESCAN_LENGTH));
+
+	return result === null ? null : result.groups.charset;
+}
+
+// Find a nonce of each type of inline elements in the Content-Security-Policy header value,
+// and add a fresh nonce to the policies unless they have one, so that the inserted elements are allowed
+function prepareCspNonces(headerValue) {
+	const policies = (Array.isArray(headerValue) ? headerValue : [headerValue])
+	.map(policy => `${policy}`.split(';').map(directive => directive.trim().split(/\s+/u).filter(Boolean))
+	.filter(directive => directive.length !== 0));
+	const nonces = new Map();
+	let freshNonce = null;
+	let isModified = false;
+
+	for (const [type, directiveNames] of CSP_DIRECTIVE_FALLBACKS) {
+		const directives = [];
+		let nonce = null;
+
+		for (const policy of policies) {
+			for (const directiveName of directiveNames) {
+				const directive = policy.find(([name]) => name.toLowerCase() === directiveName);
+
+				if (directive !== undefined) {
+					directives.push(directive);
+					break;
+				}
+			}
+		}
+
+		for (const [, ...sources] of directives) {
+			const result = sources.map(source => nonceSourceRe.exec(source)).find(Boolean);
+
+			if (result !== undefined) {
+				nonce = result.groups.nonce;
+				break;
+			}
+		}
+
+		// `'unsafe-inline'` already allows the inserted elements, unless the directive has a nonce or hash which disables it
+		const directivesToModify = directives.filter(([, ...sources]) => !sources.includes(`'nonce-${nonce}'`) && (
+			!sources.some(source => source.toLowerCase() === '\'unsafe-inline\'') ||
+			sources.some(source => nonceSourceRe.test(source) || hashSourceRe.test(source))
+		));
+
+		if (nonce === null && directivesToModify.length === 0) {
+			continue;
+		}
+
+		if (nonce === null) {
+			freshNonce = freshNonce || randomBytes(16).toString('base64');
+			nonce = freshNonce;
+		}
+
+		for (const directive of directivesToModify) {
+			directive.push(`'nonce-${nonce}'`);
+			isModified = true;
+		}
+
+		nonces.set(type, nonce);
+	}
+
+	if (!isModified) {
+		return {headerValue, nonces};
+	}
+
+	const newPolicies = policies.map(policy => policy.map(directive => directive.join(' ')).join('; '));
+
+	return {headerValue: Array.isArray(headerValue) ? newPolicies : newPolicies[0], nonces};
+}
+
+function addNonceAttributes(content, nonces) {
+	return content.replace(nonceTargetRe, (tag, tagName, attributes) => {
+		const nonce = nonces.get(tagName.toLowerCase() === 'script' ? 'script' : 'style');
+
+		if (nonce === undefined || nonceAttributeRe.test(attributes)) {
+			return tag;
+		}
+
+		return `<${tagName} nonce="${nonce}"${attributes}>`;
+	});
+}
+
+// Return `null` if the response body is encoded in a way this module cannot decode
+function getContentCoding(res) {
+	const codings = `${res.getHeader('content-encoding')}`.split(',')
+	.map(coding => coding.trim().toLowerCase())
+	.filter(coding => coding !== '' && coding !== 'identity');
+
+	if (codings.length === 0) {
+		return 'identity';
+	}
+
+	if (codings.length === 1 && CONTENT_CODINGS.has(codings[0])) {
+		return codings[0];
+	}
+
+	return null;
+}
+
+function isRawHttp2Stream(stream) {
+	return stream !== null && typeof stream === 'object' && typeof stream.respond === 'function' && typeof stream.setHeader !== 'function';
+}
+
+// Wrap a raw HTTP/2 stream with a minimal `http.ServerResponse`-like interface, so that `main()` can handle it in the same way.
+// Headers passed to `stream.respond()` are applied via `setHeader()`, and sent by `writeHead()`.
+function createResponseOfHttp2Stream(stream) {
+	const originalRespond = stream.respond.bind(stream);
+	const originalWrite = stream.write.bind(stream);
+	const originalEnd = stream.end.bind(stream);
+	const headers = new Map();
+	let statusCode = 200;
+	let respondOptions;
+	let trailers = {};
+
+	function respond() {
+		// Keep the stream open after the body to send the trailers added by `addTrailers()`
+		if (headers.has('trailer') && !(respondOptions && respondOptions.waitForTrailers)) {
+			respondOptions = {...respondOptions, waitForTrailers: true};
+			stream.once('wantTrailers', () => stream.sendTrailers(trailers));
+		}
+
+		originalRespond({...Object.fromEntries(headers), ':status': statusCode}, respondOptions);
+	}
+
+	const res = {
+		[http2Stream]: stream,
+		get statusCode() {
+			return statusCode;
+		},
+		set statusCode(value) {
+			statusCode = value;
+		},
+		get headersSent() {
+			return stream.headersSent;
+		},
+		get writableHighWaterMark() {
+			return stream.writableHighWaterMark;
+		},
+		setHeader(headerName, value) {
+			headers.set(headerName.toLowerCase(), value);
+		},
+		getHeader(headerName) {
+			return headers.get(headerName.toLowerCase());
+		},
+		hasHeader(headerName) {
+			return headers.has(headerName.toLowerCase());
+		},
+		removeHeader(headerName) {
+			headers.delete(headerName.toLowerCase());
+		},
+		addTrailers(trailerHeaders) {
+			trailers = {...trailers, ...trailerHeaders};
+		},
+		// Apply the headers by itself, since `main()` no longer does once the insertion is cancelled
+		writeHead(newStatusCode, ...restArgs) {
+			if (isPlainObj(restArgs[restArgs.length - 1])) {
+				for (const [headerName, value] of Object.entries(restArgs.pop())) {
+					res.setHeader(headerName, value);
+				}
+			}
+
+			statusCode = newStatusCode;
+			respond();
+
+			return res;
+		},
+		// Send the headers implicitly as `http.ServerResponse` does
+		write(...args) {
+			if (!stream.headersSent) {
+				respond();
+			}
+
+			return originalWrite(...args);
+		},
+		end(...args) {
+			if (!stream.headersSent) {
+				respond();
+			}
+
+			return originalEnd(...args);
+		},
+		emit: stream.emit.bind(stream),
+		prependListener(...args) {
+			stream.prependListener(...args);
+			return res;
+		},
+		removeListener(...args) {
+			stream.removeListener(...args);
+			return res;
+		}
+	};
+
+	stream.respond = (responseHeaders = {}, options) => {
+		const {':status': newStatusCode = 200, ...restHeaders} = responseHeaders;
+
+		respondOptions = options;
+		res.writeHead(newStatusCode, restHeaders);
+	};
+	stream.write = (...args) => res.write(...args);
+	stream.end = (...args) => {
+		res.end(...args);
+		return stream;
+	};
+
+	return res;
+}
+
+// Returned by `insertHtmlContent()` to tell whether and where each content is inserted, or why it is not.
+// Events are emitted asynchronously so that listeners added right after the call receive every event.
+class Insertion extends EventEmitter {
+	constructor() {
+		super();
+
+		this[state] = {
+			insertedIndexes: new Set(),
+			offset: null,
+			fallback: null,
+			isSettled: false,
+			resolve: null,
+			// Replaced by the function handling the response
+			cancel: () => false,
+			update: () => false
+		};
+		this.result = new Promise(resolve => {
+			this[state].resolve = resolve;
+		});
+	}
+
+	cancel(...args) {
+		const argLen = args.length;
+
+		if (argLen !== 0) {
+			throw new RangeError(`Expected no arguments, but got ${argLen} argument${argLen === 1 ? '' : 's'}.`);
+		}
+
+		return this[state].cancel();
+	}
+
+	update(...args) {
+		const argLen = args.length;
+
+		if (argLen !== 1 && argLen !== 2) {
+			throw new RangeError(`Expected 1 or 2 arguments (<string>[, <Object>]), but got ${
+				argLen === 0 ? 'no' : argLen
+			} arguments.`);
+		}
+
+		const [content, options = noOptionsProvided] = args;
+
+		return this[state].update(prepareInsertion(content, options));
+	}
+
+	[reportInsertion]({index, content, offset}) {
+		const {insertedIndexes, isSettled} = this[state];
+
+		if (isSettled) {
+			return;
+		}
+
+		insertedIndexes.add(index);
+
+		if (this[state].offset === null || offset < this[state].offset) {
+			this[state].offset = offset;
+		}
+
+		process.nextTick(() => this.emit('inserted', {index, content, offset}));
+	}
+
+	[reportFallback]({index, content, fallback}) {
+		if (this[state].isSettled) {
+			return;
+		}
+
+		if (this[state].fallback === null) {
+			this[state].fallback = fallback;
+		}
+
+		process.nextTick(() => this.emit('fallback', {index, content, fallback}));
+	}
+
+	// Report every rule not inserted so far as skipped for the given reason, and fix the result
+	[settle](rules, reason, bytesScanned) {
+		const {insertedIndexes, offset, fallback, isSettled, resolve} = this[state];
+
+		if (isSettled) {
+			return;
+		}
+
+		this[state].isSettled = true;
+
+		const skippedRules = [...rules.entries()].filter(([index]) => !insertedIndexes.has(index));
+
+		// A rule can have its own reason, for example `dedupe` option found the same content in the body
+		process.nextTick(() => {
+			for (const [index, {content, skipReason}] of skippedRules) {
+				this.emit('skipped', {index, content, reason: skipReason || reason});
+			}
+
+			resolve({
+				inserted: insertedIndexes.size !== 0,
+				reason: skippedRules.length === 0 ? null : skippedRules[0][1].skipReason || reason,
+				offset,
+				fallback,
+				bytesScanned
+			});
+		});
+	}
+}
+
+function main(res, [rules, insertionLength, etag], insertion = new Insertion()) {
+	if (res.headersSent) {
+		insertion[settle](rules, 'headers-sent', 0);
+		return insertion;
+	}
+
+	if (isRawHttp2Stream(res)) {
+		res = createResponseOfHttp2Stream(res);
+	}
+
+	ensureResponseSetHeaderWorks(res);
+
+	const originalWrite = res.write.bind(res);
+	const originalEnd = res.end.bind(res);
+	const originalSetHeader = res.setHeader.bind(res);
+	const originalWriteHead = res.writeHead.bind(res);
+	// Values of the headers before this function modified them, restored when the insertion is cancelled
+	const modifiedHeaders = new Map();
+
+	function rememberHeader(headerName) {
+		if (!modifiedHeaders.has(headerName)) {
+			modifiedHeaders.set(headerName, res.getHeader(headerName));
+		}
+	}
+
+	function setHeader(headerName, value) {
+		rememberHeader(headerName);
+		originalSetHeader(headerName, value);
+	}
+
+	function removeHeader(headerName) {
+		rememberHeader(headerName);
+		res.removeHeader(headerName);
+	}
+
+	// Why the contents are not inserted, set when parsing the HTML is given up
+	let skipReason = null;
+
+	const {digests: digestMode, maxBufferBytes} = rules[0];
+	// Values of the digest headers recomputed over the body passed to the original methods, with `digests: 'trailers'` or `'buffer'`
+	const digestHeaders = new Map();
+	let digester = null;
+	// Data and callbacks held with `digests: 'buffer'` until the end of the body so that the digest headers can be sent with it
+	const digestBuffer = [];
+	let digestBufferLength = 0;
+
+	const parser = new HtmlInsertionStream(rules)
+	.on('error', err => {
+		skipReason = 'encoding-error';
+		res.emit('error', err);
+	})
+	.on('fallback', info => {
+		insertion[reportFallback](info);
+
+		if (rules[0].onFallback !== null) {
+			rules[0].onFallback(info);
+		}
+	})
+	.on('inserted', info => insertion[reportInsertion](info));
+
+	function settleInsertion(reason) {
+		insertion[settle](parser.rules, reason, parser.bytesScanned);
+	}
+
+	// Keep hashing the rest of the body passed through while the digests are recomputed
+	function restoreOriginalMethods() {
+		res.setHeader = originalSetHeader;
+		res.writeHead = originalWriteHead;
+		res.write = digestHeaders.size === 0 ? originalWrite : writeThrough;
+		res.end = digestHeaders.size === 0 ? originalEnd : endThrough;
+	}
+
+	function onError() {
+		restoreOriginalMethods();
+		settleInsertion(skipReason || 'error');
+	}
+
+	res.prependListener('error', onError);
+
+	// A response destroyed before its end, for example by the client aborting the request, never calls `end()`
+	function onClose() {
+		settleInsertion('aborted');
+		parser.destroy();
+	}
+
+	res.prependListener('close', onClose);
+
+	// Whether the last data passed to the original `write()` filled the buffer of the response, until it emits `drain` event
+	let needsDrain = false;
+	// Whether `drain` event is forwarded from the decompressor of the body, while the buffer of the response may still be filled
+	let isForwardingDrain = false;
+
+	function onDrain() {
+		if (!isForwardingDrain) {
+			needsDrain = false;
+		}
+	}
+
+	res.prependListener('drain', onDrain);
+
+	// Callbacks passed to `write()`, each of which waits until the data up to its byte offset is passed to the original `write()`
+	const pendingCallbacks = [];
+
+	let declaredContentLength = null;
+	let adjustedContentLength;
+	let contentCoding = 'identity';
+	let hasCharset = false;
+	let hasUnresolvedContents = etag.length === 0;
+	// Calls of `writeHead()`, `write()` and `end()` held while resolving the dynamic contents asynchronously
+	let heldCalls = null;
+	let isBodyStarted = false;
+	let isCancelled = false;
+	// A response to HEAD request gets the same headers as GET, but has no body to insert contents into
+	// A raw HTTP/2 stream has no request object, but tells whether `:method` of the request headers is HEAD
+	const isHeadRequest = res[http2Stream] ?
+		res[http2Stream].headRequest === true :
+		Boolean(res.req) && res.req.method === 'HEAD';
+	// Nonces of the Content-Security-Policy header, put into the inserted <script>, <style> and <link> tags
+	let cspNonces = null;
+
+	function isLengthUnknown() {
+		return insertionLength === null || contentCoding !== 'identity' || (digestMode === 'trailers' && digestHeaders.size !== 0);
+	}
+
+	// Content-length header already includes the insertion length, but the contents might not be inserted after all.
+	// In this case the body is held until it turns out, so that the header can be corrected before being sent.
+	function isWaitingForInsertion() {
+		return parser.shouldParseHtml &&
+			!isHeadRequest &&
+			!res.headersSent &&
+			adjustedContentLength !== undefined &&
+			parser.hasUncertainInsertion();
+	}
+
+	function adjustContentLength(originalContentLengthHeaderValue) {
+		let originalContentLength;
+
+		if (typeof originalContentLengthHeaderValue === 'number') {
+			originalContentLength = originalContentLengthHeaderValue;
+
+			if (!Number.isInteger(originalContentLength) || originalContentLength < 0) {
+				removeHeader('content-length');
+				res.emit('error', new Error(`${CONTENT_LENGTH_ERROR}, but it was ${
+					inspect(originalContentLengthHeaderValue)
+				}.`));
+
+				return;
+			}
+		} else {
+			originalContentLength = parseInt(originalContentLengthHeaderValue, 10);
+			if (/\D/u.test(`${originalContentLengthHeaderValue}`)) {
+				removeHeader('content-length');
+				res.emit('error', new Error(`${CONTENT_LENGTH_ERROR}, but it was ${
+					inspect(originalContentLengthHeaderValue)
+				}.`));
+
+				return;
+			}
+		}
+
+		if (!parser.shouldParseHtml) {
+			return;
+		}
+
+		declaredContentLength = originalContentLength;
+
+		if (heldCalls !== null) {
+			return;
+		}
+
+		if (isLengthUnknown()) {
+			removeHeader('content-length');
+			return;
+		}
+
+		adjustedContentLength = `${originalContentLength + insertionLength}`;
+		setHeader('content-length', adjustedContentLength);
+	}
+
+	function restoreHeader(headerName) {
+		if (!modifiedHeaders.has(headerName)) {
+			return;
+		}
+
+		const value = modifiedHeaders.get(headerName);
+
+		modifiedHeaders.delete(headerName);
+
+		if (value === undefined) {
+			res.removeHeader(headerName);
+		} else {
+			originalSetHeader(headerName, value);
+		}
+	}
+
+	// Put back content-length and the digest headers, which are valid again when the body turns out to be sent as it is
+	function restoreHeaders() {
+		if (res.headersSent) {
+			return;
+		}
+
+		if (declaredContentLength !== null) {
+			setHeader('content-length', `${declaredContentLength}`);
+			adjustedContentLength = undefined;
+		}
+
+		for (const headerName of [...DIGEST_HEADER_NAMES, 'trailer', 'last-modified']) {
+			restoreHeader(headerName);
+		}
+
+		digestHeaders.clear();
+	}
+
+	function applyCharset(charset) {
+		if (!isSupportedCharset(charset)) {
+			parser.shouldParseHtml = false;
+			skipReason = 'encoding-error';
+			restoreHeaders();
+
+			return;
+		}
+
+		let length;
+
+		try {
+			length = parser.setCharset(charset);
+		} catch (err) {
+			parser.shouldParseHtml = false;
+			skipReason = 'encoding-error';
+			restoreHeaders();
+			res.emit('error', err);
+
+			return;
+		}
+
+		if (insertionLength === null) {
+			return;
+		}
+
+		insertionLength = length;
+
+		if (declaredContentLength !== null && !isLengthUnknown() && !res.headersSent && heldCalls === null) {
+			adjustedContentLength = `${declaredContentLength + insertionLength}`;
+			setHeader('content-length', adjustedContentLength);
+		}
+	}
+
+	function cancelInsertion(err) {
+		parser.shouldParseHtml = false;
+		skipReason = 'error';
+		restoreHeaders();
+		res.emit('error', err);
+	}
+
+	// Call the functions passed as contents once the response turns out to be HTML
+	function resolveContents() {
+		const dynamicRules = [...parser.pendingRules].filter(({content}) => typeof content === 'function');
+		let results;
+
+		hasUnresolvedContents = false;
+
+		function setContents(contents) {
+			setDynamicContents(dynamicRules, contents);
+			etag = digestRules([...parser.pendingRules]);
+		}
+
+		try {
+			results = dynamicRules.map(({content}) => content(res[http2Stream] || res));
+
+			if (!results.some(result => result instanceof Promise)) {
+				setContents(results);
+				return;
+			}
+		} catch (err) {
+			cancelInsertion(err);
+			return;
+		}
+
+		heldCalls = [];
+
+		(async () => {
+			let error = null;
+
+			try {
+				setContents(await Promise.all(results));
+			} catch (err) {
+				error = err;
+			}
+
+			// The held calls have been already passed to the original methods
+			if (isCancelled) {
+				return;
+			}
+
+			const calls = heldCalls;
+
+			heldCalls = null;
+
+			if (error === null) {
+				updateHeaders();
+			} else {
+				cancelInsertion(error);
+			}
+
+			// An error thrown by the replayed calls would otherwise be an unhandled rejection
+			try {
+				replay(calls);
+			} catch (err) {
+				res.emit('error', err);
+			}
+		})();
+	}
+
+	// Detect `<meta charset>` in the beginning of the body when content-type header has no charset parameter
+	function sniff(data) {
+		if (hasCharset || !parser.shouldParseHtml || (typeof data !== 'string' && !Buffer.isBuffer(data))) {
+			return;
+		}
+
+		hasCharset = true;
+
+		const charset = sniffCharset(data);
+
+		if (charset !== null) {
+			applyCharset(charset);
+		}
+	}
+
+	function applyCspNonces() {
+		if (cspNonces === null) {
+			const result = prepareCspNonces(res.getHeader('content-security-policy'));
+
+			cspNonces = result.nonces;
+
+			if (result.headerValue !== res.getHeader('content-security-policy')) {
+				setHeader('content-security-policy', result.headerValue);
+			}
+		}
+
+		let isModified = false;
+
+		for (const rule of parser.pendingRules) {
+			if (rule.csp && typeof rule.content === 'string') {
+				const content = addNonceAttributes(rule.content, cspNonces);
+
+				isModified = isModified || content !== rule.content;
+				rule.content = content;
+			}
+		}
+
+		// The digest appended to the Etag leaves the nonces out, whether `etag` header is set before or after the policy
+		if (!isModified) {
+			return;
+		}
+
+		applyCharset(parser.charset);
+	}
+
+	// Remove the digest headers, or remember them to be recomputed over the modified body
+	function applyDigestHeaders() {
+		for (const headerName of DIGEST_HEADER_NAMES) {
+			if (!res.hasHeader(headerName)) {
+				continue;
+			}
+
+			// A response to HEAD request has no body to hash
+			if (digestMode === 'remove' || isHeadRequest || (digestMode === 'trailers' && typeof res.addTrailers !== 'function')) {
+				removeHeader(headerName);
+				continue;
+			}
+
+			digestHeaders.set(headerName, res.getHeader(headerName));
+
+			if (digestMode === 'trailers') {
+				removeHeader(headerName);
+				rememberHeader('trailer');
+
+				const trailer = modifiedHeaders.get('trailer');
+
+				originalSetHeader('trailer', [...trailer === undefined ? [] : [trailer], ...digestHeaders.keys()].join(', '));
+			}
+		}
+	}
+
+	function updateHeaders() {
+		if (res.hasHeader('content-encoding')) {
+			contentCoding = getContentCoding(res);
+		}
+
+		if (res.hasHeader('content-type')) {
+			const mediaType = getTargetMediaTypeOfResponse(res, rules[0].isTargetMediaType);
+
+			parser.shouldParseHtml = mediaType !== null && contentCoding !== null;
+			parser.isXml = mediaType !== null && xmlMediaTypeRe.test(mediaType);
+
+			if (!parser.shouldParseHtml) {
+				skipReason = mediaType === null ? 'not-html' : 'encoding-error';
+			}
+
+			if (parser.shouldParseHtml && hasUnresolvedContents) {
+				resolveContents();
+			}
+
+			if (parser.shouldParseHtml) {
+				const {charset} = parseContentType(res.getHeader('content-type')).parameters;
+
+				hasCharset = charset !== undefined;
+				applyCharset(charset || 'utf-8');
+			}
+		}
+
+		if (
+			parser.shouldParseHtml &&
+			!hasUnresolvedContents &&
+			res.hasHeader('content-security-policy') &&
+			[...parser.pendingRules].some(({csp}) => csp)
+		) {
+			applyCspNonces();
+		}
+
+		if (parser.shouldParseHtml && !res.headersSent) {
+			applyDigestHeaders();
+
+			// The modification date of the original body doesn't change when the inserted contents change
+			if (res.hasHeader('last-modified')) {
+				removeHeader('last-modified');
+			}
+		}
+
+		if (res.hasHeader('content-length')) {
+			// Don't adjust the value this function has already adjusted, so as not to add the insertion length twice
+			if (res.getHeader('content-length') !== adjustedContentLength) {
+				adjustContentLength(res.getHeader('content-length'));
+			} else if (parser.shouldParseHtml && isLengthUnknown()) {
+				removeHeader('content-length');
+				adjustedContentLength = undefined;
+			}
+		}
+
+		if (etag.length !== 0 && parser.shouldParseHtml && res.hasHeader('etag')) {
+			if (hasInsertedDigest(res.getHeader('etag'), etag, parser.rules)) {
+				parser.shouldParseHtml = false;
+				skipReason = 'duplicate';
+				restoreHeaders();
+			} else {
+				setHeader('etag', appendDigestToEtag(res.getHeader('etag'), etag));
+			}
+
+			etag = '';
+		}
 	}
 
 	updateHeaders();
 
-	res.setHeader = (headerName, ...restArgs) => {
-		originalSetHeader(headerName, ...restArgs);
-		updateHeaders(headerName);
-	};
+	res.setHeader = (headerName, ...restArgs) => {
+		// A value set by the user is the one to be restored on cancellation
+		modifiedHeaders.delete(headerName.toLowerCase());
+		originalSetHeader(headerName, ...restArgs);
+		updateHeaders(headerName);
+	};
+
+	// `res.writeHead()` of HTTP/1 calls `res.setHeader()` internally https://github.com/nodejs/node/blob/v10.12.0/lib/_http_server.js#L231,
+	// while that of HTTP/2 sets the headers without `res.setHeader()` and sends them at once.
+	// So apply the headers here in both cases, and don't send them while resolving the dynamic contents,
+	// which starts in the middle of `res.writeHead()` in some cases.
+	res.writeHead = (...args) => {
+		if (!res.headersSent && isPlainObj(args[args.length - 1])) {
+			for (const [headerName, value] of Object.entries(args.pop())) {
+				res.setHeader(headerName, value);
+			}
+
+			// An `error` listener can end the response while setting the headers
+			if (res.headersSent) {
+				return res;
+			}
+		}
+
+		if (heldCalls !== null) {
+			heldCalls.push(['writeHead', args]);
+			return res;
+		}
+
+		if (bypassResponseWithoutWholeBody(args[0])) {
+			return originalWriteHead(...args);
+		}
+
+		// Leave the headers to be sent implicitly with the first part of the body, which is held while waiting for the insertion
+		if (isWaitingForInsertion() || isBufferingDigests()) {
+			const [statusCode, statusMessage] = args;
+
+			res.statusCode = statusCode;
+
+			if (typeof statusMessage === 'string') {
+				res.statusMessage = statusMessage;
+			}
+
+			return res;
+		}
+
+		return originalWriteHead(...args);
+	};
+
+	// Return a function calling every callback whose data ends by the byte offset of the original body, or `null` if none
+	function takeCallbacks(offset, queue = pendingCallbacks) {
+		const callbacks = [];
+
+		while (queue.length !== 0 && queue[0].offset <= offset) {
+			callbacks.push(queue.shift().callback);
+		}
+
+		if (callbacks.length === 0) {
+			return null;
+		}
+
+		return err => {
+			for (const callback of callbacks) {
+				callback(err);
+			}
+		};
+	}
+
+	function isBufferingDigests() {
+		return digestMode === 'buffer' && digestHeaders.size !== 0 && !res.headersSent;
+	}
+
+	// Pass the data to the original `write()`, hashing it to recompute the digest headers
+	function sendData(data, callback) {
+		if (digestHeaders.size === 0) {
+			return callback === null ? originalWrite(data) : originalWrite(data, callback);
+		}
+
+		if (digester === null) {
+			digester = createDigester([...digestHeaders.keys()], headerName => digestHeaders.get(headerName));
+		}
+
+		digester.update(data);
+
+		if (!isBufferingDigests()) {
+			return callback === null ? originalWrite(data) : originalWrite(data, callback);
+		}
+
+		digestBuffer.push([data, callback]);
+		digestBufferLength += data.length;
+
+		if (digestBufferLength <= maxBufferBytes) {
+			return true;
+		}
+
+		// Give up recomputing the digests of a body larger than `maxBufferBytes` option, and send it without them
+		for (const headerName of digestHeaders.keys()) {
+			removeHeader(headerName);
+		}
+
+		digestHeaders.clear();
+
+		let result;
+
+		for (const [bufferedData, bufferedCallback] of digestBuffer.splice(0)) {
+			result = sendData(bufferedData, bufferedCallback);
+		}
+
+		return result;
+	}
+
+	// Pass the last data to the original `end()`, together with the recomputed digest headers or trailers
+	function sendEnd(data, ...restArgs) {
+		if (digestHeaders.size === 0) {
+			return originalEnd(data, ...restArgs);
+		}
+
+		if (digester === null) {
+			digester = createDigester([...digestHeaders.keys()], headerName => digestHeaders.get(headerName));
+		}
+
+		digester.update(data);
+
+		const headerValues = digester.headers();
+
+		digestHeaders.clear();
+
+		if (res.headersSent) {
+			res.addTrailers(Object.fromEntries(headerValues));
+			return originalEnd(data, ...restArgs);
+		}
+
+		// The whole body is known here, so send the digests as headers instead of trailers
+		const body = Buffer.concat([...digestBuffer.map(([bufferedData]) => bufferedData), data]);
+		const callbacks = digestBuffer.splice(0).map(([, callback]) => callback).filter(Boolean);
+
+		restoreHeader('trailer');
+
+		for (const [headerName, value] of headerValues) {
+			setHeader(headerName, value);
+		}
+
+		setHeader('content-length', `${body.length}`);
+
+		const flushed = originalEnd(body, ...restArgs);
+
+		for (const callback of callbacks) {
+			process.nextTick(callback);
+		}
+
+		return flushed;
+	}
+
+	function writeThrough(data, ...restArgs) {
+		const callback = typeof restArgs[restArgs.length - 1] === 'function' ? restArgs.pop() : null;
+
+		return sendData(Buffer.isBuffer(data) ? data : Buffer.from(data, restArgs[0]), callback);
+	}
+
+	function endThrough(...args) {
+		if (args.length === 0 || typeof args[0] === 'function') {
+			args.unshift(Buffer.alloc(0));
+		}
+
+		const [data, ...restArgs] = args;
+
+		return sendEnd(Buffer.isBuffer(data) ? data : Buffer.from(data, restArgs[0]), ...restArgs);
+	}
+
+	// Pass the data to the original `write()` together with the callbacks of the data, and remember whether it needs draining
+	function writeOriginally(data, offset) {
+		needsDrain = !sendData(data, takeCallbacks(offset));
+		return !needsDrain;
+	}
+
+	function write(data, ...restArgs) {
+		const callback = typeof restArgs[restArgs.length - 1] === 'function' ? restArgs.pop() : null;
+		const [encoding] = restArgs;
+
+		if (!Buffer.isBuffer(data)) {
+			data = Buffer.from(data, encoding);
+		}
+
+		if (parser.shouldParseHtml) {
+			parser.write(data, encoding);
+
+			if (callback !== null) {
+				pendingCallbacks.push({offset: parser.writtenOffset + parser.len, callback});
+			}
+
+			// Don't hold more than the high water mark of the response only to fix content-length header, but send it without the header
+			if (isWaitingForInsertion() && parser.len >= res.writableHighWaterMark) {
+				removeHeader('content-length');
+				adjustedContentLength = undefined;
+			}
+
+			if (!isWaitingForInsertion()) {
+				const writableBuffer = parser.getWritableBuffer();
+
+				if (writableBuffer.length !== 0 || (pendingCallbacks.length !== 0 && pendingCallbacks[0].offset <= parser.writtenOffset)) {
+					// Apply the length of the placeholder comments and the attributes replaced while the headers are held
+					if (!res.headersSent && adjustedContentLength !== undefined && parser.extraLength !== 0) {
+						adjustedContentLength = `${declaredContentLength + insertionLength + parser.extraLength}`;
+						setHeader('content-length', adjustedContentLength);
+					}
+
+					return writeOriginally(writableBuffer, parser.writtenOffset);
+				}
+			}
+
+			return !needsDrain;
+		}
+
+		if (callback !== null) {
+			pendingCallbacks.push({offset: Infinity, callback});
+		}
+
+		restoreOriginalMethods();
+		settleInsertion(skipReason || 'not-html');
+
+		return writeOriginally(Buffer.concat([...parser.buffers.splice(0), data], parser.len + data.length), Infinity);
+	}
+
+	// Decompress the body, insert contents into it and then compress it again with the same coding
+	function pipeThroughContentCoding() {
+		const [createDecoder, createEncoder] = CONTENT_CODINGS.get(contentCoding);
+		const decoder = createDecoder();
+		const encoder = createEncoder();
+		// Callbacks passed to `write()`, each of which waits until the compressed data up to its byte offset is passed to the original `write()`
+		const encodedCallbacks = [];
+		let decodedLength = 0;
+		let encodedLength = 0;
+		let endArgs = [];
+
+		res.setHeader = originalSetHeader;
+
+		// Flush the compressed data of the callbacks whose decompressed data has been passed to the compressor
+		function passCallbacks() {
+			if (encoder.writableEnded) {
+				return;
+			}
+
+			const callback = takeCallbacks(parser.shouldParseHtml ? parser.writtenOffset : decodedLength);
+
+			if (callback === null) {
+				return;
+			}
+
+			encoder.flush(() => {
+				encodedCallbacks.push({offset: encodedLength + encoder.readableLength, callback});
+
+				// Every compressed data of the callbacks may have already been passed to the original `write()`
+				if (encodedCallbacks[0].offset <= encodedLength) {
+					sendData(Buffer.alloc(0), takeCallbacks(encodedLength, encodedCallbacks));
+				}
+			});
+		}
+
+		decoder.on('data', data => {
+			sniff(data);
+			decodedLength += data.length;
+
+			if (parser.shouldParseHtml) {
+				parser.write(data);
+				data = parser.getWritableBuffer();
+			}
+
+			// Stop decompressing while the compressed data waits to be written, and tell the writer to wait as well
+			if (data.length !== 0 && !encoder.write(data)) {
+				decoder.pause();
+			}
+
+			passCallbacks();
+		}).on('end', () => encoder.end(parser[flush]()))
+		.on('drain', () => {
+			// The writer waits for `drain` event of the response, but the response itself may not be drained yet
+			isForwardingDrain = true;
+
+			try {
+				res.emit('drain');
+			} finally {
+				isForwardingDrain = false;
+			}
+		});
+
+		encoder.on('drain', () => decoder.resume());
+		res.prependListener('drain', () => {
+			if (!isForwardingDrain) {
+				encoder.resume();
+			}
+		});
+
+		encoder.on('data', data => {
+			encodedLength += data.length;
+
+			if (!sendData(data, takeCallbacks(encodedLength, encodedCallbacks))) {
+				encoder.pause();
+			}
+		}).on('end', () => {
+			restoreOriginalMethods();
+			settleInsertion('not-found');
+			parser.destroy();
+			encodedCallbacks.push(...pendingCallbacks.splice(0));
+
+			const callback = takeCallbacks(Infinity, encodedCallbacks);
+
+			sendEnd(Buffer.alloc(0), ...endArgs);
+
+			// The data of the callbacks held so far has been just passed to the original `end()`
+			if (callback !== null) {
+				process.nextTick(callback);
+			}
+		});
+
+		function onCodingError(err) {
+			skipReason = 'encoding-error';
+			res.emit('error', err);
+		}
+
+		decoder.on('error', onCodingError);
+		encoder.on('error', onCodingError);
+
+		res.write = (data, ...restArgs) => {
+			const callback = typeof restArgs[restArgs.length - 1] === 'function' ? restArgs.pop() : null;
+
+			if (callback === null) {
+				return decoder.write(data, ...restArgs);
+			}
+
+			return decoder.write(data, ...restArgs, err => {
+				if (err) {
+					callback(err);
+					return;
+				}
+
+				// The decompressed data of this chunk ends after the one still buffered in the decompressor
+				pendingCallbacks.push({offset: decodedLength + decoder.readableLength, callback});
+				passCallbacks();
+			});
+		};
+
+		res.end = (...args) => {
+			if (typeof args[args.length - 1] === 'function') {
+				endArgs = [args.pop()];
+			}
+
+			decoder.end(...args);
+			return res;
+		};
+	}
+
+	res.write = (...args) => {
+		if (heldCalls !== null) {
+			heldCalls.push(['write', args]);
+			return true;
+		}
+
+		if (!res.headersSent && bypassResponseWithoutWholeBody(res.statusCode)) {
+			return originalWrite(...args);
+		}
+
+		if (isHeadRequest) {
+			bypassHeadRequest();
+			return originalWrite(...args);
+		}
+
+		isBodyStarted = true;
+		res.setHeader = originalSetHeader;
+
+		if (parser.shouldParseHtml && contentCoding !== 'identity') {
+			pipeThroughContentCoding();
+			return res.write(...args);
+		}
+
+		sniff(args[0]);
+
+		if (!res.headersSent) {
+			res.writeHead(res.statusCode);
+		}
+
+		if (!parser.shouldParseHtml) {
+			res.write = originalWrite;
+			res.end = originalEnd;
+			settleInsertion(skipReason || 'not-html');
+			parser.destroy();
+
+			return originalWrite(...args);
+		}
+
+		res.write = write;
+		return write(...args);
+	};
+
+	res.end = (...args) => {
+		if (heldCalls !== null) {
+			heldCalls.push(['end', args]);
+			return res;
+		}
+
+		if (!res.headersSent && bypassResponseWithoutWholeBody(res.statusCode)) {
+			return originalEnd(...args);
+		}
+
+		if (isHeadRequest) {
+			bypassHeadRequest();
+			return originalEnd(...args);
+		}
+
+		isBodyStarted = true;
+
+		if (parser.shouldParseHtml && contentCoding !== 'identity') {
+			pipeThroughContentCoding();
+			return res.end(...args);
+		}
+
+		sniff(args[0]);
+		restoreOriginalMethods();
+		parser[removeAnyTokenListeners]();
+
+		if (parser.buffers.length === 0 && !parser.shouldParseHtml) {
+			settleInsertion(skipReason || 'not-html');
+			parser.destroy();
+			return endThrough(...args);
+		}
+
+		if (args.length === 0 || typeof args[0] === 'function') {
+			args.unshift(Buffer.alloc(0));
+		} else if (!Buffer.isBuffer(args[0])) {
+			args[0] = Buffer.from(args[0], typeof args[1] === 'string' ? args[1] : undefined);
+		}
+
+		const [data, ...restArgs] = args;
+		const reason = parser.shouldParseHtml ? 'not-found' : skipReason || 'not-html';
+
+		if (parser.shouldParseHtml) {
+			parser.writeLast(data, restArgs[0]);
+		} else {
+			parser[push](data);
+		}
+
+		const body = parser[flush]();
+
+		settleInsertion(reason);
+
+		// The whole body is known here if no part of it has been written yet
+		if (!res.headersSent && declaredContentLength !== null) {
+			originalSetHeader('content-length', `${body.length}`);
+		}
+
+		const callback = takeCallbacks(Infinity);
+		const flushed = sendEnd(body, ...restArgs);
+
+		// The data of the callbacks held so far has been just passed to the original `end()`
+		if (callback !== null) {
+			process.nextTick(callback);
+		}
+
+		parser.destroy();
+		return flushed;
+	};
+
+	function isCancellable() {
+		return !insertion[state].isSettled && !isBodyStarted && !res.headersSent;
+	}
+
+	// Restore the original methods and the headers modified by this function,
+	// and return the calls held while resolving the dynamic contents
+	function undo() {
+		const calls = heldCalls || [];
+
+		isCancelled = true;
+		heldCalls = null;
+		digestHeaders.clear();
+		restoreOriginalMethods();
+		res.removeListener('error', onError);
+		res.removeListener('drain', onDrain);
+		res.removeListener('close', onClose);
+
+		for (const [headerName, value] of modifiedHeaders) {
+			if (value === undefined) {
+				res.removeHeader(headerName);
+			} else {
+				originalSetHeader(headerName, value);
+			}
+		}
+
+		parser.destroy();
+		return calls;
+	}
+
+	// Leave a response with no body or only a part of the body as it is. Return whether it is left.
+	// Inserting contents into a part of the body would corrupt the whole one that the client assembles from the parts.
+	function bypassResponseWithoutWholeBody(statusCode) {
+		if (statusCode !== 204 && statusCode !== 304 && statusCode !== 206) {
+			return false;
+		}
+
+		// Keep the modified Etag of 304 response, which must be the same as that of the full response the client has cached
+		if (statusCode === 304) {
+			modifiedHeaders.delete('etag');
+			modifiedHeaders.delete('last-modified');
+		}
+
+		undo();
+		settleInsertion(statusCode === 206 ? 'partial-content' : 'no-body');
+
+		return true;
+	}
+
+	// Keep the adjusted headers of a response to HEAD request, and send it without parsing anything
+	function bypassHeadRequest() {
+		restoreOriginalMethods();
+		settleInsertion(parser.shouldParseHtml ? 'no-body' : skipReason || 'not-html');
+		parser.destroy();
+	}
+
+	function replay(calls) {
+		for (const [methodName, args] of calls) {
+			res[methodName](...args);
+		}
+	}
+
+	insertion[state].cancel = () => {
+		if (!isCancellable()) {
+			return false;
+		}
+
+		const calls = undo();
+
+		settleInsertion('cancelled');
+		replay(calls);
+
+		return true;
+	};
+
+	insertion[state].update = insertionArgs => {
+		if (!isCancellable()) {
+			return false;
+		}
+
+		const calls = undo();
+
+		main(res, insertionArgs, insertion);
+		replay(calls);
+
+		return true;
+	};
+
+	return insertion;
+}
+
+function setDynamicContents(dynamicRules, contents) {
+	for (const [index, content] of contents.entries()) {
+		if (typeof content !== 'string') {
+			const error = new TypeError(`Expected a function passed as \`content\` to return or resolve a <string>, but got ${
+				inspectWithKind(content)
+			}.`);
+
+			error.code = 'ERR_INVALID_RETURN_VALUE';
+			throw error;
+		}
+
+		dynamicRules[index].content = content;
+	}
+}
+
+function md5Base64(str) {
+	return createHash('md5').update(str).digest('base64');
+}
+
+// Put the digest at the end of the opaque tag, keeping the quotes and the weakness of the Etag.
+// An Etag not in the form of RFC 9110 gets the digest simply appended.
+function appendDigestToEtag(etag, digest) {
+	const match = etagRe.exec(`${etag}`);
+
+	if (match === null) {
+		return `${etag}${digest}`;
+	}
+
+	return `${match.groups.weak || ''}"${match.groups.opaque}-${digest}"`;
+}
+
+// Whether the Etag ends with the digest of the same rules, that is, the contents have been already inserted into the body
+function hasInsertedDigest(etag, digest, rules) {
+	const match = etagRe.exec(`${etag}`);
+
+	return rules.every(({dedupe}) => dedupe) && (match === null ? `${etag}` : match.groups.opaque).endsWith(digest);
+}
+
+// Hash the body passed to `update()` with the algorithms the digest headers use,
+// and return the new values of the headers from `headers()`
+function createDigester(headerNames, getHeader) {
+	const hashes = new Map();
+	const values = new Map();
+
+	for (const headerName of headerNames) {
+		if (headerName === 'content-md5') {
+			values.set(headerName, [['md5', 'md5']]);
+			continue;
+		}
+
+		// The keys of a Structured Field Dictionary like `sha-256=:...:, sha-512=:...:`, ignoring unsupported algorithms
+		const keys = `${getHeader(headerName)}`.split(',')
+		.map(member => member.split('=')[0].trim().toLowerCase())
+		.filter(key => DIGEST_ALGORITHMS.has(key));
+
+		values.set(headerName, (keys.length === 0 ? ['sha-256'] : [...new Set(keys)]).map(key => [key, DIGEST_ALGORITHMS.get(key)]));
+	}
+
+	for (const algorithms of values.values()) {
+		for (const [, algorithm] of algorithms) {
+			if (!hashes.has(algorithm)) {
+				hashes.set(algorithm, createHash(algorithm));
+			}
+		}
+	}
+
+	return {
+		update(data) {
+			for (const hash of hashes.values()) {
+				hash.update(data);
+			}
+		},
+		headers() {
+			const results = new Map();
+
+			for (const [algorithm, hash] of hashes) {
+				results.set(algorithm, hash.digest('base64'));
+			}
+
+			return new Map([...values].map(([headerName, algorithms]) => [
+				headerName,
+				headerName === 'content-md5' ?
+					results.get('md5') :
+					algorithms.map(([key, algorithm]) => `${key}=:${results.get(algorithm)}:`).join(', ')
+			]));
+		}
+	};
+}
+
+// The digest appended to the Etag, which changes with both the contents and the attributes to rewrite
+function digestRules(rules) {
+	return md5Base64(Buffer.concat(rules.map(({content, attributes}) => Buffer.from(attributes === null ?
+		content :
+		`${content}${JSON.stringify([...attributes.values()])}`))));
+}
+
+function convertInsertionChunkStringToBuffer(str) {
+	if (typeof str === 'function') {
+		return null;
+	}
+
+	if (typeof str !== 'string') {
+		const error = new TypeError(`Expected a <string> to inject into HTML as the last child of \`head\` tag, but got a non-string value ${
+			inspectWithKind(str)
+		}.`);
+
+		error.code = 'ERR_INVALID_ARG_TYPE';
+		Error.captureStackTrace(error, convertInsertionChunkStringToBuffer);
+
+		throw error;
+	}
+
+	return Buffer.from(str);
+}
+
+const TAG_NAME_ERROR = 'Expected `tagName` option to be an HTML tag name';
+const SELECTOR_ERROR = 'Expected `selector` option to be a CSS selector made of type, universal, ID, class and attribute selectors' +
+	' combined with descendant or child combinators';
+const BODY_SELECTOR = parseSelector('body');
+const OCCURRENCE_ERROR = 'Expected `occurrence` option to be a positive integer, \'last\' or \'all\'';
+const POSITION_ERROR = `Expected \`position\` option to be one of ${[...POSITIONS].map(position => `'${position}'`).join(', ')}`;
+const MEDIA_TYPES_ERROR = 'Expected `mediaTypes` option to be a media type like \'text/html\', an <Array> of them or a <Function>';
+const PLACEHOLDER_ERROR = 'Expected `placeholder` option to be the text of a comment (<string>) or a <RegExp>';
+const ATTRIBUTES_ERROR = 'Expected `attributes` option to be an <Object> mapping attribute names to <string>, <boolean> or `null`';
+const RESPONSE_OPTION_NAMES = ['mediaTypes', 'maxScanBytes', 'digests', 'maxBufferBytes', 'onFallback'];
+const MAX_SCAN_BYTES_ERROR = 'Expected `maxScanBytes` option to be a positive integer';
+const DIGESTS_ERROR = `Expected \`digests\` option to be one of ${[...DIGESTS].map(digests => `'${digests}'`).join(', ')}`;
+const MAX_BUFFER_BYTES_ERROR = 'Expected `maxBufferBytes` option to be a positive integer';
+const FALLBACK_ERROR = `Expected \`fallback\` option to be one of ${[...FALLBACKS].map(fallback => `'${fallback}'`).join(', ')}`;
+
+function prepareOptionArguments(options) {
+	if (options === noOptionsProvided) {
+		return {
+			selector: BODY_SELECTOR,
+			targetTagName: 'body',
+			position: 'afterbegin',
+			occurrence: 1,
+			csp: false,
+			dedupe: false,
+			fallback: 'none',
+			placeholder: null,
+			attributes: null,
+			isTargetMediaType: isDefaultMediaType,
+			maxScanBytes: null,
+			digests: 'remove',
+			maxBufferBytes: DEFAULT_MAX_BUFFER_BYTES,
+			onFallback: null
+		};
+	}
+
+	if (!isPlainObj(options)) {
+		const error = new TypeError(`Expected an <Object> to set inject-html-content options, but got ${
+			inspectWithKind(options)
+		}.`);
+		error.code = 'ERR_INVALID_ARG_TYPE';
+		Error.captureStackTrace(error, prepareOptionArguments);
+
+		throw error;
+	}
+
+	const {
+		tagName,
+		selector,
+		insertToEnd,
+		position,
+		occurrence,
+		csp,
+		dedupe,
+		fallback,
+		placeholder,
+		attributes,
+		mediaTypes,
+		maxScanBytes,
+		digests,
+		maxBufferBytes,
+		onFallback
+	} = options;
+
+	if (tagName !== undefined) {
+		let error;
+
+		if (typeof tagName !== 'string') {
+			error = new TypeError(`${TAG_NAME_ERROR} (<string>), but got a non-string value ${
+				inspectWithKind(tagName)
+			}.`);
+		} else if (tagName.length === 0) {
+			error = Error(`${TAG_NAME_ERROR}, but got '' (empty string).`);
+		} else if (tagName.trim().length === 0) {
+			error = Error(`${TAG_NAME_ERROR}, but got a whitespace-only string ${inspect(tagName)}.`);
+		} else if (tagName.match(/\s/u) !== null) {
+			error = Error(`${TAG_NAME_ERROR}, but got an invalid tag name ${inspect(tagName)}.`);
+		}
+
+		if (error) {
+			error.code = 'ERR_INVALID_OPTION_VALUE';
+			Error.captureStackTrace(error, prepareOptionArguments);
+
+			throw error;
+		}
+	}
+
+	if (insertToEnd !== undefined && typeof insertToEnd !== 'boolean') {
+		const error = new TypeError(`Expected \`insertToEnd\` option to be a boolean, but got a non-boolean value ${
+			inspectWithKind(insertToEnd)
+		}.`);
+
+		error.code = 'ERR_INVALID_OPTION_VALUE';
+		Error.captureStackTrace(error, prepareOptionArguments);
+
+		throw error;
+	}
+
+	if (csp !== undefined && typeof csp !== 'boolean') {
+		const error = new TypeError(`Expected \`csp\` option to be a boolean, but got a non-boolean value ${
+			inspectWithKind(csp)
+		}.`);
+
+		error.code = 'ERR_INVALID_OPTION_VALUE';
+		Error.captureStackTrace(error, prepareOptionArguments);
+
+		throw error;
+	}
+
+	if (dedupe !== undefined && typeof dedupe !== 'boolean') {
+		const error = new TypeError(`Expected \`dedupe\` option to be a boolean, but got a non-boolean value ${
+			inspectWithKind(dedupe)
+		}.`);
+
+		error.code = 'ERR_INVALID_OPTION_VALUE';
+		Error.captureStackTrace(error, prepareOptionArguments);
+
+		throw error;
+	}
+
+	if (mediaTypes !== undefined && typeof mediaTypes !== 'function') {
+		const patterns = typeof mediaTypes === 'string' ? [mediaTypes] : mediaTypes;
+		let error;
+
+		if (!Array.isArray(patterns)) {
+			error = new TypeError(`${MEDIA_TYPES_ERROR}, but got ${inspectWithKind(mediaTypes)}.`);
+		} else if (patterns.length === 0) {
+			error = new Error(`${MEDIA_TYPES_ERROR}, but got an empty array.`);
+		} else {
+			const invalidPattern = patterns.find(pattern => typeof pattern !== 'string' || !mediaTypePatternRe.test(pattern));
+
+			if (typeof invalidPattern === 'string') {
+				error = new Error(`${MEDIA_TYPES_ERROR}, but it includes an invalid media type ${inspect(invalidPattern)}.`);
+			} else if (invalidPattern !== undefined) {
+				error = new TypeError(`${MEDIA_TYPES_ERROR}, but it includes a non-string value ${inspectWithKind(invalidPattern)}.`);
+			}
+		}
+
+		if (error) {
+			error.code = 'ERR_INVALID_OPTION_VALUE';
+			Error.captureStackTrace(error, prepareOptionArguments);
+
+			throw error;
+		}
+	}
+
+	if (maxScanBytes !== undefined && (!Number.isSafeInteger(maxScanBytes) || maxScanBytes < 1)) {
+		const error = typeof maxScanBytes === 'number' ?
+			new Error(`${MAX_SCAN_BYTES_ERROR}, but got ${inspect(maxScanBytes)}.`) :
+			new TypeError(`${MAX_SCAN_BYTES_ERROR}, but got a non-number value ${inspectWithKind(maxScanBytes)}.`);
+
+		error.code = 'ERR_INVALID_OPTION_VALUE';
+		Error.captureStackTrace(error, prepareOptionArguments);
+
+		throw error;
+	}
+
+	if (digests !== undefined && !DIGESTS.has(digests)) {
+		const error = typeof digests === 'string' ?
+			new Error(`${DIGESTS_ERROR}, but got ${inspect(digests)}.`) :
+			new TypeError(`${DIGESTS_ERROR}, but got a non-string value ${inspectWithKind(digests)}.`);
+
+		error.code = 'ERR_INVALID_OPTION_VALUE';
+		Error.captureStackTrace(error, prepareOptionArguments);
+
+		throw error;
+	}
+
+	if (maxBufferBytes !== undefined) {
+		let error;
+
+		if (!Number.isSafeInteger(maxBufferBytes) || maxBufferBytes < 1) {
+			error = typeof maxBufferBytes === 'number' ?
+				new Error(`${MAX_BUFFER_BYTES_ERROR}, but got ${inspect(maxBufferBytes)}.`) :
+				new TypeError(`${MAX_BUFFER_BYTES_ERROR}, but got a non-number value ${inspectWithKind(maxBufferBytes)}.`);
+		} else if (digests !== 'buffer') {
+			error = new Error(`\`maxBufferBytes\` option is only used with \`digests: 'buffer'\`, but got ${
+				digests === undefined ? 'no `digests` option' : `\`digests: ${inspect(digests)}\``
+			}.`);
+		}
+
+		if (error) {
+			error.code = 'ERR_INVALID_OPTION_VALUE';
+			Error.captureStackTrace(error, prepareOptionArguments);
+
+			throw error;
+		}
+	}
+
+	if (onFallback !== undefined && typeof onFallback !== 'function') {
+		const error = new TypeError(`Expected \`onFallback\` option to be a <Function>, but got ${inspectWithKind(onFallback)}.`);
+
+		error.code = 'ERR_INVALID_OPTION_VALUE';
+		Error.captureStackTrace(error, prepareOptionArguments);
+
+		throw error;
+	}
+
+	if (position !== undefined) {
+		let error;
+
+		if (typeof position !== 'string') {
+			error = new TypeError(`${POSITION_ERROR}, but got a non-string value ${inspectWithKind(position)}.`);
+		} else if (!POSITIONS.has(position)) {
+			error = new Error(`${POSITION_ERROR}, but got ${inspect(position)}.`);
+		} else if (insertToEnd !== undefined) {
+			error = new Error(`\`position\` option and \`insertToEnd\` option cannot be used at the same time, but got both ${
+				inspect(position)
+			} and ${insertToEnd}.`);
+		}
+
+		if (error) {
+			error.code = 'ERR_INVALID_OPTION_VALUE';
+			Error.captureStackTrace(error, prepareOptionArguments);
+
+			throw error;
+		}
+	}
+
+	let compounds = null;
+
+	if (selector !== undefined) {
+		let error;
+
+		if (typeof selector !== 'string') {
+			error = new TypeError(`${SELECTOR_ERROR}, but got a non-string value ${inspectWithKind(selector)}.`);
+		} else if (selector.length === 0) {
+			error = new Error(`${SELECTOR_ERROR}, but got '' (empty string).`);
+		} else if (selector.trim().length === 0) {
+			error = new Error(`${SELECTOR_ERROR}, but got a whitespace-only string ${inspect(selector)}.`);
+		} else if ((compounds = parseSelector(selector.trim())) === null) {
+			error = new Error(`${SELECTOR_ERROR}, but got an invalid or unsupported selector ${inspect(selector)}.`);
+		} else if (tagName !== undefined) {
+			error = new Error(`\`selector\` option and \`tagName\` option cannot be used at the same time, but got both ${
+				inspect(selector)
+			} and ${inspect(tagName)}.`);
+		}
+
+		if (error) {
+			error.code = 'ERR_INVALID_OPTION_VALUE';
+			Error.captureStackTrace(error, prepareOptionArguments);
+
+			throw error;
+		}
+	}
+
+	if (occurrence !== undefined && occurrence !== 'last' && occurrence !== 'all') {
+		let error;
+
+		if (typeof occurrence !== 'number' && typeof occurrence !== 'string') {
+			error = new TypeError(`${OCCURRENCE_ERROR}, but got ${inspectWithKind(occurrence)}.`);
+		} else if (!Number.isSafeInteger(occurrence) || occurrence < 1) {
+			error = new Error(`${OCCURRENCE_ERROR}, but got ${inspect(occurrence)}.`);
+		}
+
+		if (error) {
+			error.code = 'ERR_INVALID_OPTION_VALUE';
+			Error.captureStackTrace(error, prepareOptionArguments);
+
+			throw error;
+		}
+	}
+
+	if (fallback !== undefined) {
+		let error;
+
+		if (typeof fallback !== 'string') {
+			error = new TypeError(`${FALLBACK_ERROR}, but got a non-string value ${inspectWithKind(fallback)}.`);
+		} else if (!FALLBACKS.has(fallback)) {
+			error = new Error(`${FALLBACK_ERROR}, but got ${inspect(fallback)}.`);
+		} else if (fallback === 'create' && compounds !== null) {
+			error = new Error(`\`fallback: 'create'\` cannot be used with \`selector\` option, since no element can be created from a selector, but got ${
+				inspect(selector)
+			}.`);
+		}
+
+		if (error) {
+			error.code = 'ERR_INVALID_OPTION_VALUE';
+			Error.captureStackTrace(error, prepareOptionArguments);
+
+			throw error;
+		}
+	}
+
+	let attributeChanges = null;
+
+	if (attributes !== undefined) {
+		let error;
+
+		if (!isPlainObj(attributes)) {
+			error = new TypeError(`${ATTRIBUTES_ERROR}, but got ${inspectWithKind(attributes)}.`);
+		} else {
+			const entries = Object.entries(attributes);
+			const invalidName = entries.map(([name]) => name).find(name => !attributeNameRe.test(name));
+			const invalidEntry = entries.find(([, value]) => typeof value !== 'string' && typeof value !== 'boolean' && value !== null);
+
+			if (entries.length === 0) {
+				error = new Error(`${ATTRIBUTES_ERROR}, but got an empty <Object>.`);
+			} else if (invalidName !== undefined) {
+				error = new Error(`${ATTRIBUTES_ERROR}, but it includes an invalid attribute name ${inspect(invalidName)}.`);
+			} else if (invalidEntry !== undefined) {
+				error = new TypeError(`${ATTRIBUTES_ERROR}, but got ${inspectWithKind(invalidEntry[1])} for ${inspect(invalidEntry[0])}.`);
+			}
+
+			// The tokenizer lowercases attribute names, and `false` removes an attribute as `null` does
+			attributeChanges = new Map(entries.map(([name, value]) => [name.toLowerCase(), {name, value: value === false ? null : value}]));
+		}
+
+		if (error) {
+			error.code = 'ERR_INVALID_OPTION_VALUE';
+			Error.captureStackTrace(error, prepareOptionArguments);
+
+			throw error;
+		}
+	}
+
+	if (placeholder !== undefined) {
+		let error;
+
+		if (typeof placeholder !== 'string' && !(placeholder instanceof RegExp)) {
+			error = new TypeError(`${PLACEHOLDER_ERROR}, but got ${inspectWithKind(placeholder)}.`);
+		} else if (typeof placeholder === 'string' && placeholder.trim().length === 0) {
+			error = new Error(`${PLACEHOLDER_ERROR}, but got ${
+				placeholder.length === 0 ? '\'\' (empty string)' : `a whitespace-only string ${inspect(placeholder)}`
+			}.`);
+		} else {
+			const conflictingOptionName = ['tagName', 'selector', 'position', 'insertToEnd', 'attributes'].find(name => options[name] !== undefined);
+
+			if (conflictingOptionName !== undefined) {
+				error = new Error(`\`placeholder\` option and \`${conflictingOptionName}\` option cannot be used at the same time, but got both ${
+					inspect(placeholder)
+				} and ${inspect(options[conflictingOptionName])}.`);
+			} else if (fallback === 'create') {
+				error = new Error(`\`fallback: 'create'\` cannot be used with \`placeholder\` option, since no element can be created from a comment, but got ${
+					inspect(placeholder)
+				}.`);
+			}
+		}
+
+		if (error) {
+			error.code = 'ERR_INVALID_OPTION_VALUE';
+			Error.captureStackTrace(error, prepareOptionArguments);
+
+			throw error;
+		}
+
+		return {
+			selector: null,
+			targetTagName: null,
+			position: null,
+			occurrence: occurrence === undefined ? 1 : occurrence,
+			csp: csp === true,
+			dedupe: dedupe === true,
+			fallback: fallback || 'none',
+			placeholder: typeof placeholder === 'string' ? placeholder.trim() : placeholder,
+			attributes: null,
+			isTargetMediaType: prepareMediaTypeMatcher(mediaTypes),
+			maxScanBytes: maxScanBytes === undefined ? null : maxScanBytes,
+			digests: digests || 'remove',
+			maxBufferBytes: maxBufferBytes || DEFAULT_MAX_BUFFER_BYTES,
+			onFallback: onFallback || null
+		};
+	}
+
+	// Tag names are compared case-insensitively in HTML, and case-sensitively in XHTML
+	const targetTagName = compounds === null ? tagName || 'body' : null;
+
+	return {
+		selector: compounds || [{combinator: null, tagName: targetTagName, id: null, classNames: [], attributes: []}],
+		targetTagName,
+		position: position || (insertToEnd ? 'beforeend' : 'afterbegin'),
+		occurrence: occurrence === undefined ? 1 : occurrence,
+		csp: csp === true,
+		dedupe: dedupe === true,
+		fallback: fallback || 'none',
+		placeholder: null,
+		attributes: attributeChanges,
+		isTargetMediaType: prepareMediaTypeMatcher(mediaTypes),
+		maxScanBytes: maxScanBytes === undefined ? null : maxScanBytes,
+		digests: digests || 'remove',
+		maxBufferBytes: maxBufferBytes || DEFAULT_MAX_BUFFER_BYTES,
+		onFallback: onFallback || null
+	};
+}
+
+function prepareRules(rules, options) {
+	if (rules.length === 0) {
+		const error = new Error('Expected at least one insertion rule, but got an empty array.');
+
+		error.code = 'ERR_INVALID_ARG_VALUE';
+		Error.captureStackTrace(error, prepareRules);
+
+		throw error;
+	}
+
+	prepareOptionArguments(options);
+
+	const defaults = options === noOptionsProvided ? {} : options;
+
+	return rules.map((rule, index) => {
+		if (!isPlainObj(rule)) {
+			const error = new TypeError(`Expected every insertion rule to be an <Object>, but got ${
+				inspectWithKind(rule)
+			} at index ${index}.`);
+
+			error.code = 'ERR_INVALID_ARG_TYPE';
+			Error.captureStackTrace(error, prepareRules);
+
+			throw error;
+		}
+
+		// A rule only rewriting its own attributes needs no content
+		const content = rule.content === undefined && rule.attributes !== undefined ? '' : rule.content;
+
+		if (typeof content !== 'string' && typeof content !== 'function') {
+			const error = new TypeError(`Expected \`content\` of the insertion rule at index ${index} to be a <string> or <Function>, but got ${
+				inspectWithKind(rule.content)
+			}.`);
+
+			error.code = 'ERR_INVALID_ARG_TYPE';
+			Error.captureStackTrace(error, prepareRules);
+
+			throw error;
+		}
+
+		// Whether to insert contents and how far to parse the body are decided for the whole response, not for each rule
+		const responseOptionName = RESPONSE_OPTION_NAMES.find(name => rule[name] !== undefined);
+
+		if (responseOptionName !== undefined) {
+			const error = new Error(`\`${responseOptionName}\` option cannot be specified for each insertion rule, but the rule at index ${
+				index
+			} has ${inspect(rule[responseOptionName])}. Pass it to the options argument instead.`);
+
+			error.code = 'ERR_INVALID_OPTION_VALUE';
+			Error.captureStackTrace(error, prepareRules);
+
+			throw error;
+		}
+
+		const ruleOptions = {...defaults, ...rule};
+
+		// A rule's own `position` or `insertToEnd` overrides both of the default ones, and the same goes for `selector` and `tagName`
+		if (rule.position !== undefined || rule.insertToEnd !== undefined) {
+			ruleOptions.position = rule.position;
+			ruleOptions.insertToEnd = rule.insertToEnd;
+		}
+
+		if (rule.selector !== undefined || rule.tagName !== undefined) {
+			ruleOptions.selector = rule.selector;
+			ruleOptions.tagName = rule.tagName;
+			ruleOptions.placeholder = rule.placeholder;
+		}
+
+		// A rule's own `placeholder` overrides the default target, position and attributes
+		if (rule.placeholder !== undefined) {
+			ruleOptions.selector = rule.selector;
+			ruleOptions.tagName = rule.tagName;
+			ruleOptions.position = rule.position;
+			ruleOptions.insertToEnd = rule.insertToEnd;
+			ruleOptions.attributes = rule.attributes;
+		}
+
+		return {
+			content,
+			insertionChunk: typeof content === 'function' ? null : Buffer.from(content),
+			...prepareOptionArguments(ruleOptions)
+		};
+	});
+}
+
+function prepareInsertion(content, options) {
+	const rules = Array.isArray(content) ?
+		prepareRules(content, options) :
+		[{content, insertionChunk: convertInsertionChunkStringToBuffer(content), ...prepareOptionArguments(options)}];
+	const insertionChunks = rules.map(({insertionChunk}) => insertionChunk).filter(Boolean);
+	const insertionBuffer = insertionChunks.length === 1 ? insertionChunks[0] : Buffer.concat(insertionChunks);
+	// The number of insertions cannot be known until the end of the document with `occurrence: 'all'`,
+	// and neither can the length of the comment or the attributes that a rule with `occurrence: 'last'` finally replaces
+	const insertionLength = rules.some(({occurrence, placeholder, attributes}) => occurrence === 'all' ||
+		((placeholder !== null || attributes !== null) && occurrence === 'last')) ?
+		null :
+		insertionBuffer.length;
+	// Calculated after the dynamic contents are resolved
+	const etag = insertionChunks.length === rules.length ? digestRules(rules) : '';
+
+	return [rules, insertionLength, etag];
+}
+
+function toBuffer(chunk) {
+	if (typeof chunk === 'string') {
+		return Buffer.from(chunk);
+	}
+
+	if (!ArrayBuffer.isView(chunk)) {
+		const error = new TypeError(`Expected every chunk of the HTML to be a <string> or <Uint8Array>, but got ${
+			inspectWithKind(chunk)
+		}.`);
+
+		error.code = 'ERR_INVALID_ARG_TYPE';
+		throw error;
+	}
+
+	return Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+}
+
+// Insert contents into a whole HTML byte stream, independently of any `http.ServerResponse`.
+// Shared by the Node.js stream, the WHATWG stream and `insertIntoResponse()`, which differ in how they take and emit chunks.
+function createTransformer(rules) {
+	const parser = new HtmlInsertionStream(rules);
+	let parserError = null;
+	let isPrepared = false;
+	// The digest of the contents before the nonces are added to them
+	let contentDigest = null;
+
+	parser.shouldParseHtml = true;
+	parser.on('error', err => {
+		parserError = err;
+	});
+
+	if (rules[0].onFallback !== null) {
+		parser.on('fallback', rules[0].onFallback);
+	}
+
+	return {
+		parser,
+		async resolveContents(...args) {
+			const dynamicRules = [...parser.pendingRules].filter(rule => typeof rule.content === 'function');
+
+			if (dynamicRules.length !== 0) {
+				setDynamicContents(dynamicRules, await Promise.all(dynamicRules.map(rule => rule.content(...args))));
+			}
+		},
+		// Return the total byte length of the contents encoded in the charset, or `null` if the charset is not supported
+		setCharset(charset) {
+			isPrepared = true;
+
+			if (!isSupportedCharset(charset)) {
+				parser.shouldParseHtml = false;
+				return null;
+			}
+
+			return parser.setCharset(charset);
+		},
+		hasCspRules() {
+			return [...parser.pendingRules].some(({csp}) => csp);
+		},
+		// Put the nonces of the Content-Security-Policy header into the contents,
+		// and return the modified header value and the new total byte length of the contents
+		addCspNonces(headerValue) {
+			const result = prepareCspNonces(headerValue);
+
+			this.digest();
+
+			for (const rule of parser.pendingRules) {
+				if (rule.csp) {
+					rule.content = addNonceAttributes(rule.content, result.nonces);
+				}
+			}
+
+			return [result.headerValue, parser.setCharset(parser.charset)];
+		},
+		// Return the MD5 digest to be appended to the Etag. Call it before transforming, which consumes the rules.
+		digest() {
+			if (contentDigest === null) {
+				contentDigest = digestRules([...parser.pendingRules]);
+			}
+
+			return contentDigest;
+		},
+		async transform(chunk) {
+			const data = toBuffer(chunk);
+
+			// No response exists here, so the functions passed as contents are called with no arguments
+			if (!isPrepared) {
+				await this.resolveContents();
+				this.setCharset(sniffCharset(data) || 'utf-8');
+			}
+
+			// Every byte before `data` has already been emitted once parsing stops
+			if (!parser.shouldParseHtml) {
+				return data;
+			}
+
+			parser.write(data);
+
+			if (parserError !== null) {
+				throw parserError;
+			}
+
+			return parser.getWritableBuffer();
+		},
+		flush() {
+			parser[removeAnyTokenListeners]();
+
+			if (parser.shouldParseHtml) {
+				parser.writeLast(Buffer.alloc(0));
+			}
+
+			if (parserError !== null) {
+				parser.destroy();
+				throw parserError;
+			}
+
+			const body = parser[flush]();
+
+			parser.destroy();
+			return body;
+		}
+	};
+}
+
+function createNodeTransform(transformer) {
+	const stream = new Transform({
+		async transform(chunk, encoding, callback) {
+			let data;
+
+			try {
+				data = await transformer.transform(chunk);
+			} catch (err) {
+				callback(err);
+				return;
+			}
+
+			callback(null, data);
+		},
+		flush(callback) {
+			let data;
+
+			try {
+				data = transformer.flush();
+			} catch (err) {
+				callback(err);
+				return;
+			}
+
+			callback(null, data);
+		}
+	});
+
+	transformer.parser.on('fallback', info => stream.emit('fallback', info));
+
+	return stream;
+}
+
+function createTransformerFromArguments(args) {
+	const argLen = args.length;
+
+	if (argLen !== 1 && argLen !== 2) {
+		throw new RangeError(`Expected 1 or 2 arguments (<string>[, <Object>]), but got ${
+			argLen === 0 ? 'no' : argLen
+		} arguments.`);
+	}
+
+	const [content, options = noOptionsProvided] = args;
+
+	return createTransformer(prepareInsertion(content, options)[0]);
+}
+
+function ensureFetchResponse(response) {
+	if (
+		response === null ||
+		typeof response !== 'object' ||
+		response.headers === null ||
+		typeof response.headers !== 'object' ||
+		typeof response.headers.get !== 'function' ||
+		!('body' in response)
+	) {
+		const error = new TypeError(`Expected a Response object, but got ${inspectWithKind(response)}.`);
+
+		error.code = 'ERR_INVALID_ARG_TYPE';
+		Error.captureStackTrace(error, ensureFetchResponse);
+
+		throw error;
+	}
+}
+
+async function rewriteResponse(response, rules, insertionLength) {
+	const contentTypeHeader = response.headers.get('content-type');
+	// The body of a Response returned by `fetch()`, which has its URL, has already been decoded even though it still has content-encoding header,
+	// while that of a Response constructed with an encoded body is left as it is
+	const isEncoded = (response.headers.get('content-encoding') || 'identity').toLowerCase() !== 'identity';
+	const isDecodedByFetch = isEncoded && typeof response.url === 'string' && response.url !== '';
+
+	if (response.body === null || contentTypeHeader === null || (isEncoded && !isDecodedByFetch)) {
+		return response;
+	}
+
+	const mediaType = getTargetMediaType(contentTypeHeader, rules[0].isTargetMediaType);
+
+	if (mediaType === null) {
+		return response;
+	}
+
+	// Content-length header of a decoded body is the length of the encoded one
+	const contentLengthHeader = isDecodedByFetch ? null : response.headers.get('content-length');
+
+	if (contentLengthHeader !== null && /\D/u.test(contentLengthHeader)) {
+		throw new Error(`${CONTENT_LENGTH_ERROR}, but it was ${inspect(contentLengthHeader)}.`);
+	}
+
+	const transformer = createTransformer(rules);
 
-	// No need to patch `res.writeHead()` here because it calls `res.setHeader()` internally
-	// https://github.com/nodejs/node/blob/v10.12.0/lib/_http_server.js#L231
+	transformer.parser.isXml = xmlMediaTypeRe.test(mediaType);
+	await transformer.resolveContents(response);
 
-	function write(data, ...restArgs) {
-		const [encoding] = restArgs;
+	const iterator = response.body[Symbol.asyncIterator]();
+	const firstResult = await iterator.next();
+	const firstChunk = firstResult.done ? Buffer.alloc(0) : toBuffer(firstResult.value);
+	const headers = new Headers(response.headers);
 
-		if (!Buffer.isBuffer(data)) {
-			data = Buffer.from(data);
-		}
+	if (isDecodedByFetch) {
+		headers.delete('content-encoding');
+		headers.delete('content-length');
+	}
+	let length = transformer.setCharset(parseContentType(contentTypeHeader).parameters.charset || sniffCharset(firstChunk) || 'utf-8');
 
-		if (parser.shouldParseHtml) {
-			parser.write(data, encoding);
+	if (length !== null && headers.has('content-security-policy') && transformer.hasCspRules()) {
+		let headerValue;
 
-			const writableBuffer = parser.getWritableBuffer();
+		[headerValue, length] = transformer.addCspNonces(headers.get('content-security-policy'));
+		headers.set('content-security-policy', headerValue);
+	}
 
-			if (writableBuffer.length !== 0) {
-				originalWrite(writableBuffer);
-			}
+	const digest = transformer.digest();
+	const isAlreadyInserted = headers.has('etag') && hasInsertedDigest(headers.get('etag'), digest, rules);
+
+	// Leave the body as it is, which has already been read partly
+	if (isAlreadyInserted) {
+		transformer.parser.shouldParseHtml = false;
+	}
 
-			if (typeof restArgs[restArgs.length - 1] === 'function') {
-				restArgs[restArgs.length - 1]();
+	// Transform the first chunk before fixing the headers, since it usually settles whether the contents are inserted
+	const firstData = firstResult.done ? Buffer.alloc(0) : await transformer.transform(firstChunk);
+
+	// Yield no empty chunks, since the stream doesn't call `pull()` again until something is enqueued
+	async function *transformBody() {
+		let data;
+
+		if (!firstResult.done) {
+			if (firstData.length !== 0) {
+				yield firstData;
 			}
 
-			return true;
+			for await (const chunk of {[Symbol.asyncIterator]: () => iterator}) {
+				data = await transformer.transform(chunk);
+
+				if (data.length !== 0) {
+					yield data;
+				}
+			}
 		}
 
-		restoreOriginalMethods();
+		data = transformer.flush();
 
-		return originalWrite(
-			Buffer.concat([...parser.buffers.splice(0), data], parser.len + data.length),
-			...restArgs
-		);
+		if (data.length !== 0) {
+			yield data;
+		}
 	}
 
-	res.write = (...args) => {
-		res.setHeader = originalSetHeader;
+	const chunks = transformBody();
 
-		if (!res.headersSent) {
-			res.writeHead(res.statusCode);
+	if (length !== null && !isAlreadyInserted) {
+		if (contentLengthHeader !== null) {
+			if (insertionLength === null || transformer.parser.hasUncertainInsertion()) {
+				headers.delete('content-length');
+			} else {
+				headers.set('content-length', `${Number(contentLengthHeader) + length + transformer.parser.extraLength}`);
+			}
 		}
 
-		if (!parser.shouldParseHtml) {
-			res.write = originalWrite;
-			res.end = originalEnd;
-			parser.destroy();
-
-			return originalWrite(...args);
+		if (headers.has('etag')) {
+			headers.set('etag', appendDigestToEtag(headers.get('etag'), digest));
 		}
 
-		res.write = write;
-		return write(...args);
-	};
+		headers.delete('last-modified');
+	}
 
-	res.end = (...args) => {
-		restoreOriginalMethods();
-		parser[removeAnyTokenListeners]();
+	// A Response has no trailers, so the digest headers are recomputed only by reading the whole body with `digests: 'buffer'`
+	let digestHeaderNames = length === null || isAlreadyInserted ? [] : DIGEST_HEADER_NAMES.filter(name => headers.has(name));
+	const bufferedChunks = [];
 
-		if (parser.buffers.length === 0 && !parser.shouldParseHtml) {
-			parser.destroy();
-			return originalEnd(...args);
-		}
+	if (digestHeaderNames.length !== 0 && rules[0].digests === 'buffer') {
+		const digester = createDigester(digestHeaderNames, name => headers.get(name));
+		let bufferedLength = 0;
+		let isWholeBodyRead = true;
 
-		if (args.length === 0 || typeof args[0] === 'function') {
-			args.unshift(Buffer.alloc(0));
-		} else if (!Buffer.isBuffer(args[0])) {
-			args[0] = Buffer.from(args[0]);
+		// An iterator without `return()`, so that giving up buffering doesn't close the rest of the body
+		const unclosableChunks = {next: () => chunks.next()};
+
+		for await (const data of {[Symbol.asyncIterator]: () => unclosableChunks}) {
+			bufferedChunks.push(data);
+			bufferedLength += data.length;
+
+			if (bufferedLength > rules[0].maxBufferBytes) {
+				isWholeBodyRead = false;
+				break;
+			}
+
+			digester.update(data);
 		}
 
-		const [data, ...restArgs] = args;
+		if (isWholeBodyRead) {
+			for (const [name, value] of digester.headers()) {
+				headers.set(name, value);
+			}
 
-		if (parser.shouldParseHtml) {
-			parser.writeLast(data, restArgs[0]);
-		} else {
-			parser[push](data);
+			headers.set('content-length', `${bufferedLength}`);
+			digestHeaderNames = [];
 		}
+	}
 
-		const flushed = originalEnd(parser[flush](), ...restArgs);
+	for (const name of digestHeaderNames) {
+		headers.delete(name);
+	}
 
-		parser.destroy();
-		return flushed;
-	};
-}
+	return new Response(new ReadableStream({
+		async pull(controller) {
+			if (bufferedChunks.length !== 0) {
+				controller.enqueue(bufferedChunks.shift());
+				return;
+			}
 
-function md5Base64(str) {
-	return createHash('md5').update(str).digest('base64');
-}
+			const result = await chunks.next();
 
-function convertInsertionChunkStringToBuffer(str) {
-	if (typeof str !== 'string') {
-		const error = new TypeError(`Expected a <string> to inject into HTML as the last child of \`head\` tag, but got a non-string value ${
-			inspectWithKind(str)
-		}.`);
+			if (result.done) {
+				controller.close();
+				return;
+			}
 
-		error.code = 'ERR_INVALID_ARG_TYPE';
-		Error.captureStackTrace(error, convertInsertionChunkStringToBuffer);
+			controller.enqueue(result.value);
+		},
+		async cancel() {
+			await chunks.return();
+		}
+	}), {
+		status: response.status,
+		statusText: response.statusText,
+		headers
+	});
+}
 
-		throw error;
+// Frameworks like Koa and Fastify write a whole body by themselves after the handlers run,
+// so rewrite the body itself instead of patching the response.
+// `context` is passed to the functions passed as contents, and `getHeader` returns the value of a response header.
+// Return the new body and the new header values, where `null` means removal, or `null` if the body is left as it is.
+async function rewriteWholeBody(body, {context, getHeader}, rules, insertionLength) {
+	const isStream = body !== null && typeof body === 'object' && typeof body.pipe === 'function';
+	const contentTypeHeader = getHeader('content-type');
+
+	if (
+		!contentTypeHeader ||
+		(typeof body !== 'string' && !Buffer.isBuffer(body) && !isStream) ||
+		(getHeader('content-encoding') || 'identity').toLowerCase() !== 'identity'
+	) {
+		return null;
 	}
 
-	return Buffer.from(str);
-}
+	let contentType;
 
-const TAG_NAME_ERROR = 'Expected `tagName` option to be an HTML tag name';
-const noOptionsProvided = Symbol('noOptionsProvided');
+	try {
+		contentType = parseContentType(contentTypeHeader);
+	} catch {
+		return null;
+	}
 
-function prepareOptionArguments(options) {
-	if (options === noOptionsProvided) {
-		return ['body', false];
+	if (!rules[0].isTargetMediaType(contentType.type)) {
+		return null;
 	}
 
-	if (!isPlainObj(options)) {
-		const error = new TypeError(`Expected an <Object> to set inject-html-content options, but got ${
-			inspectWithKind(options)
-		}.`);
-		error.code = 'ERR_INVALID_ARG_TYPE';
-		Error.captureStackTrace(error, prepareOptionArguments);
+	const transformer = createTransformer(rules);
 
-		throw error;
+	transformer.parser.isXml = xmlMediaTypeRe.test(contentType.type);
+	const {charset} = contentType.parameters;
+	let length;
+
+	await transformer.resolveContents(context);
+
+	// Frameworks encode a string body in UTF-8
+	if (typeof body === 'string') {
+		length = transformer.setCharset('utf-8');
+	} else if (Buffer.isBuffer(body)) {
+		length = transformer.setCharset(charset || sniffCharset(body) || 'utf-8');
+	} else if (charset !== undefined) {
+		length = transformer.setCharset(charset);
 	}
 
-	const {tagName, insertToEnd} = options;
+	if (length === null) {
+		return null;
+	}
 
-	if (tagName !== undefined) {
-		let error;
+	const result = {headers: new Map()};
+	const cspHeader = getHeader('content-security-policy');
 
-		if (typeof tagName !== 'string') {
-			error = new TypeError(`${TAG_NAME_ERROR} (<string>), but got a non-string value ${
-				inspectWithKind(tagName)
-			}.`);
-		} else if (tagName.length === 0) {
-			error = Error(`${TAG_NAME_ERROR}, but got '' (empty string).`);
-		} else if (tagName.trim().length === 0) {
-			error = Error(`${TAG_NAME_ERROR}, but got a whitespace-only string ${inspect(tagName)}.`);
-		} else if (tagName.match(/\s/u) !== null) {
-			error = Error(`${TAG_NAME_ERROR}, but got an invalid tag name ${inspect(tagName)}.`);
-		}
+	if (cspHeader && transformer.hasCspRules()) {
+		const [headerValue, newLength] = transformer.addCspNonces(cspHeader);
 
-		if (error) {
-			error.code = 'ERR_INVALID_OPTION_VALUE';
-			Error.captureStackTrace(error, prepareOptionArguments);
+		result.headers.set('content-security-policy', headerValue);
 
-			throw error;
+		if (length !== undefined) {
+			length = newLength;
 		}
 	}
 
-	if (insertToEnd !== undefined && typeof insertToEnd !== 'boolean') {
-		const error = new TypeError(`Expected \`insertToEnd\` option to be a boolean, but got a non-boolean value ${
-			inspectWithKind(insertToEnd)
-		}.`);
+	const etag = getHeader('etag');
 
-		error.code = 'ERR_INVALID_OPTION_VALUE';
-		Error.captureStackTrace(error, prepareOptionArguments);
+	if (etag && hasInsertedDigest(etag, transformer.digest(), rules)) {
+		return null;
+	}
 
-		throw error;
+	if (etag) {
+		result.headers.set('etag', appendDigestToEtag(etag, transformer.digest()));
+	}
+
+	if (getHeader('last-modified')) {
+		result.headers.set('last-modified', null);
 	}
 
-	return [tagName ? tagName.toLowerCase() : 'body', insertToEnd || false];
+	const digestHeaderNames = DIGEST_HEADER_NAMES.filter(name => getHeader(name));
+
+	if (isStream) {
+		const contentLengthHeader = `${getHeader('content-length') || ''}`;
+
+		result.body = pipeline(body, createNodeTransform(transformer), () => {});
+
+		for (const name of digestHeaderNames) {
+			result.headers.set(name, null);
+		}
+
+		// A stream with no charset parameter can turn out to be in another charset by <meta charset> in its first chunk,
+		// and whether the contents are inserted is unknown until the targets appear
+		result.headers.set(
+			'content-length',
+			/^\d+$/u.test(contentLengthHeader) &&
+			length !== undefined &&
+			insertionLength !== null &&
+			!transformer.parser.hasUncertainInsertion() ?
+				Number(contentLengthHeader) + length :
+				null
+		);
+	} else {
+		const data = Buffer.concat([await transformer.transform(Buffer.from(body)), transformer.flush()]);
+
+		result.body = typeof body === 'string' ? data.toString() : data;
+		result.headers.set('content-length', data.length);
+
+		// The whole body is known, so recompute the digest headers unless `digests: 'remove'`
+		if (digestHeaderNames.length !== 0) {
+			let headerValues = null;
+
+			if (rules[0].digests !== 'remove') {
+				const digester = createDigester(digestHeaderNames, getHeader);
+
+				digester.update(data);
+				// The hashes can be finalized only once
+				headerValues = digester.headers();
+			}
+
+			for (const name of digestHeaderNames) {
+				result.headers.set(name, headerValues === null ? null : headerValues.get(name));
+			}
+		}
+	}
+
+	return result;
 }
 
 module.exports = function insertHtmlContent(...args) {
@@ -472,14 +3724,13 @@ module.exports = function insertHtmlContent(...args) {
 		} arguments.`);
 	}
 
-	const [res, insertionChunk, options = noOptionsProvided] = args;
-	const buffer = convertInsertionChunkStringToBuffer(insertionChunk);
+	const [res, content, options = noOptionsProvided] = args;
 
-	main(res, buffer, buffer.length, md5Base64(buffer), ...prepareOptionArguments(options));
+	return main(res, prepareInsertion(content, options));
 };
 
 function insertHtmlContentFromClass(...args) {
-	const argLen = args.length - 5;
+	const argLen = args.length - 3;
 
 	if (argLen !== 1) {
 		throw new RangeError(`Expected 1 argument (<http.ServerResponse>), but got ${
@@ -487,7 +3738,7 @@ function insertHtmlContentFromClass(...args) {
 		} arguments.`);
 	}
 
-	main(args[5], args[0], args[1], args[2], args[3], args[4]);
+	return main(args[3], args.slice(0, 3));
 }
 
 module.exports.InsertHtmlContent = class InsertHtmlContent {
@@ -500,15 +3751,271 @@ module.exports.InsertHtmlContent = class InsertHtmlContent {
 			} arguments.`);
 		}
 
-		const [insertionChunk, options = noOptionsProvided] = args;
-		const buffer = convertInsertionChunkStringToBuffer(insertionChunk);
+		const [content, options = noOptionsProvided] = args;
 
-		return insertHtmlContentFromClass.bind(
-			null,
-			buffer,
-			buffer.length,
-			md5Base64(buffer),
-			...prepareOptionArguments(options)
-		);
+		return insertHtmlContentFromClass.bind(null, ...prepareInsertion(content, options));
+	}
+};
+
+module.exports.createInsertionStream = function createInsertionStream(...args) {
+	return createNodeTransform(createTransformerFromArguments(args));
+};
+
+module.exports.createInsertionTransformStream = function createInsertionTransformStream(...args) {
+	const transformer = createTransformerFromArguments(args);
+
+	return new TransformStream({
+		async transform(chunk, controller) {
+			const data = await transformer.transform(chunk);
+
+			if (data.length !== 0) {
+				controller.enqueue(data);
+			}
+		},
+		flush(controller) {
+			const data = transformer.flush();
+
+			if (data.length !== 0) {
+				controller.enqueue(data);
+			}
+		}
+	});
+};
+
+module.exports.insertIntoResponse = function insertIntoResponse(...args) {
+	const argLen = args.length;
+
+	if (argLen !== 2 && argLen !== 3) {
+		throw new RangeError(`Expected 2 or 3 arguments (<Response>, <string>[, <Object>]), but got ${
+			argLen === 0 ? 'no' : argLen
+		} arguments.`);
+	}
+
+	const [response, content, options = noOptionsProvided] = args;
+
+	ensureFetchResponse(response);
+
+	const [rules, insertionLength] = prepareInsertion(content, options);
+
+	return rewriteResponse(response, rules, insertionLength);
+};
+
+module.exports.createKoaMiddleware = function createKoaMiddleware(...args) {
+	const argLen = args.length;
+
+	if (argLen !== 1 && argLen !== 2) {
+		throw new RangeError(`Expected 1 or 2 arguments (<string>[, <Object>]), but got ${
+			argLen === 0 ? 'no' : argLen
+		} arguments.`);
+	}
+
+	const [content, options = noOptionsProvided] = args;
+	const [rules, insertionLength] = prepareInsertion(content, options);
+
+	return async function insertHtmlContentMiddleware(ctx, next) {
+		await next();
+
+		const result = await rewriteWholeBody(ctx.body, {
+			context: ctx,
+			getHeader: name => ctx.response.get(name)
+		}, rules, insertionLength);
+
+		if (result === null) {
+			return;
+		}
+
+		// Koa removes content-length header when a stream body is replaced, so set the body first
+		ctx.body = result.body;
+
+		for (const [name, value] of result.headers) {
+			if (value === null) {
+				ctx.remove(name);
+			} else if (name === 'content-length') {
+				ctx.length = value;
+			} else if (name === 'etag') {
+				ctx.etag = value;
+			} else {
+				ctx.set(name, value);
+			}
+		}
+	};
+};
+
+// Registered with `fastify.register(plugin, {content, ...options})`. A route opts out with `config: {insertHtmlContent: false}`.
+async function fastifyPlugin(fastify, pluginOptions) {
+	if (!isPlainObj(pluginOptions)) {
+		const error = new TypeError(`Expected an <Object> with \`content\` property as the plugin options, but got ${
+			inspectWithKind(pluginOptions)
+		}.`);
+
+		error.code = 'ERR_INVALID_ARG_TYPE';
+		throw error;
+	}
+
+	const {content, ...options} = pluginOptions;
+	const [rules, insertionLength] = prepareInsertion(content, options);
+
+	fastify.addHook('onSend', async (request, reply, payload) => {
+		// `reply.context` is deprecated in favor of `request.routeOptions` in Fastify v4
+		const config = (request.routeOptions && request.routeOptions.config) || (reply.context && reply.context.config) || {};
+
+		if (config.insertHtmlContent === false) {
+			return payload;
+		}
+
+		const result = await rewriteWholeBody(payload, {
+			context: reply,
+			getHeader: name => reply.getHeader(name)
+		}, rules, insertionLength);
+
+		if (result === null) {
+			return payload;
+		}
+
+		for (const [name, value] of result.headers) {
+			if (value === null) {
+				reply.removeHeader(name);
+			} else {
+				reply.header(name, `${value}`);
+			}
+		}
+
+		return result.body;
+	});
+}
+
+// Apply the hook to the whole application instead of the encapsulated context, as `fastify-plugin` does
+fastifyPlugin[Symbol.for('skip-override')] = true;
+fastifyPlugin[Symbol.for('fastify.display-name')] = 'insert-html-content';
+
+module.exports.fastifyPlugin = fastifyPlugin;
+
+const LIVE_RELOAD_PATH_ERROR = 'Expected `path` option to be an absolute URL path like \'/live-reload\'';
+
+// A client connecting to the endpoint of `liveReload()`, which reloads the page, or only the stylesheets when every changed path is a CSS one.
+// A stylesheet is swapped for a fresh copy after it loads, so that the page doesn't flash unstyled.
+// `<` in the path is escaped so that it cannot close the <script> element.
+function createLiveReloadClient(path) {
+	return `<script>(() => {
+	const source = new EventSource(${JSON.stringify(path).replace(/</gu, '\\u003C')});
+
+	source.addEventListener('reload', () => location.reload());
+	source.addEventListener('css', ({data}) => {
+		const paths = JSON.parse(data);
+		const links = [...document.querySelectorAll('link[rel~="stylesheet"][href]')];
+		const changedLinks = links.filter(({href}) => paths.some(path => new URL(href).pathname.endsWith(path)));
+
+		for (const link of changedLinks.length === 0 ? links : changedLinks) {
+			const url = new URL(link.href);
+			const newLink = link.cloneNode();
+
+			url.searchParams.set('live-reload', Date.now());
+			newLink.href = url.href;
+			newLink.addEventListener('load', () => link.remove(), {once: true});
+			link.after(newLink);
+		}
+	});
+})();</script>`;
+}
+
+module.exports.liveReload = function liveReload(...args) {
+	const argLen = args.length;
+
+	if (argLen !== 0 && argLen !== 1) {
+		throw new RangeError(`Expected 0 or 1 argument ([<Object>]), but got ${argLen} arguments.`);
+	}
+
+	const [options = {}] = args;
+
+	if (!isPlainObj(options)) {
+		const error = new TypeError(`Expected an <Object> to set live reload options, but got ${inspectWithKind(options)}.`);
+
+		error.code = 'ERR_INVALID_ARG_TYPE';
+		Error.captureStackTrace(error, liveReload);
+
+		throw error;
 	}
+
+	const {path = '/insert-html-content/live-reload'} = options;
+
+	if (typeof path !== 'string' || !path.startsWith('/')) {
+		const error = typeof path === 'string' ?
+			new Error(`${LIVE_RELOAD_PATH_ERROR}, but got ${inspect(path)}.`) :
+			new TypeError(`${LIVE_RELOAD_PATH_ERROR}, but got a non-string value ${inspectWithKind(path)}.`);
+
+		error.code = 'ERR_INVALID_OPTION_VALUE';
+		Error.captureStackTrace(error, liveReload);
+
+		throw error;
+	}
+
+	const insertClient = new module.exports.InsertHtmlContent(createLiveReloadClient(path), {insertToEnd: true, csp: true});
+	// Responses of the Server-Sent Events connected from the pages
+	const connections = new Set();
+
+	function broadcast(eventName, data) {
+		for (const res of connections) {
+			res.write(`event: ${eventName}\ndata: ${data}\n\n`);
+		}
+
+		return connections.size;
+	}
+
+	// Reload every connected page, and return the number of them
+	function reload() {
+		return broadcast('reload', '');
+	}
+
+	// Swap the stylesheets if every changed path is a CSS one, otherwise reload the pages
+	function notify(paths) {
+		if (!Array.isArray(paths) || paths.some(changedPath => typeof changedPath !== 'string')) {
+			const error = new TypeError(`Expected an <Array> of changed paths (<string>), but got ${inspectWithKind(paths)}.`);
+
+			error.code = 'ERR_INVALID_ARG_TYPE';
+			Error.captureStackTrace(error, notify);
+
+			throw error;
+		}
+
+		if (paths.length === 0 || paths.some(changedPath => !changedPath.toLowerCase().endsWith('.css'))) {
+			return reload();
+		}
+
+		// Relative paths and those with backslashes on Windows are compared with the ends of the URL paths of the stylesheets
+		return broadcast('css', JSON.stringify(paths.map(changedPath => changedPath.replace(/\\/gu, '/').replace(/^(?:\.?\/)?/u, '/'))));
+	}
+
+	// The methods don't depend on `this`, so that they can be passed around as they are
+	return {
+		path,
+		// Insert the client into an HTML response
+		insert: insertClient,
+		// Respond to a request to `path` with Server-Sent Events, and return whether it is handled
+		handleRequest(req, res) {
+			if (req.url.split('?')[0] !== path) {
+				return false;
+			}
+
+			res.writeHead(200, {
+				'content-type': 'text/event-stream',
+				'cache-control': 'no-cache',
+				connection: 'keep-alive'
+			});
+			res.write(': connected\n\n');
+			connections.add(res);
+			req.on('close', () => connections.delete(res));
+
+			return true;
+		},
+		reload,
+		notify,
+		// End every connection so that the server can close
+		close() {
+			for (const res of connections) {
+				res.end();
+			}
+
+			connections.clear();
+		}
+	};
 };
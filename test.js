@@ -1,11 +1,27 @@
 'use strict';
 
-const {createServer, ServerResponse} = require('http');
+/* global Response */
+
+const {createServer, get, ServerResponse} = require('http');
 const {createHash} = require('crypto');
+const http2 = require('http2');
 const {promisify} = require('util');
+const {Readable} = require('stream');
+const zlib = require('zlib');
 
+const fastify = require('fastify');
 const fetch = require('node-fetch');
+const iconv = require('iconv-lite');
+const Koa = require('koa');
 const insertHtmlContent = require('.');
+const {
+	createInsertionStream,
+	createInsertionTransformStream,
+	createKoaMiddleware,
+	fastifyPlugin,
+	insertIntoResponse,
+	liveReload
+} = insertHtmlContent;
 const noop = require('lodash/noop');
 const test = require('tape');
 
@@ -83,7 +99,7 @@ test('insertHtmlContent()', async t => {
 
 		if (req.url.endsWith('plain-text-with-body/')) {
 			res.setHeader('content-type', 'text/plain');
-			res.setHeader('content-length', 7);
+			res.setHeader('content-length', 6);
 			insertHtmlContent(res, '</body>');
 			res.end('<body>');
 			return;
@@ -230,53 +246,3269 @@ test('insertHtmlContent()', async t => {
 	t.end();
 });
 
-test('Argument validation', t => {
-	t.throws(
-		() => insertHtmlContent(new Set(), '.'),
-		/^TypeError.*Expected a ServerResponse object, but got Set \{\}\./u,
-		'should fail when the first argument is not a ServerResponse.'
-	);
+test('insertHtmlContent() with multiple insertion rules', async t => {
+	const server = createServer((req, res) => {
+		const html = '<html><head><title>🐟</title></head><body><main></main></body></html>';
 
-	t.throws(
-		() => insertHtmlContent(new ServerResponse({}), new Uint32Array()),
-		/^TypeError.*Expected a <string> to inject into HTML as the last child of `head` tag, but got a non-string value Uint32Array \[\]\./u,
-		'should fail when the second argument is neither a string nor Buffer.'
+		res.setHeader('content-type', 'text/html');
+		res.setHeader('content-length', Buffer.byteLength(html));
+		res.setHeader('etag', 'base');
+		insertHtmlContent(res, [
+			{content: '<script></script>', tagName: 'head', insertToEnd: true},
+			{content: '<p>banner</p>'},
+			{content: '<img>', insertToEnd: true},
+			{content: '🦑', tagName: 'main'}
+		]);
+		res.write(html.slice(0, 10));
+		res.write(html.slice(10, 40));
+		res.end(html.slice(40));
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	const response = await fetch('http://localhost:3018/');
+	const expected = '<html><head><title>🐟</title><script></script></head><body><p>banner</p><main>🦑</main><img></body></html>';
+
+	t.equal(
+		await response.text(),
+		expected,
+		'should insert every content into its target in a single parsing pass.'
 	);
 
-	t.throws(
-		() => insertHtmlContent(new ServerResponse({}), '.', new Int16Array()),
-		/^TypeError.*Expected an <Object> to set inject-html-content options, but got Int16Array \[\]\./u,
-		'should fail when the third argument is not a plain object.'
+	t.equal(
+		response.headers.get('content-length'),
+		`${Buffer.byteLength(expected)}`,
+		'should adjust Content-Length header with the total length of the inserted contents.'
 	);
 
-	t.throws(
-		() => insertHtmlContent(new ServerResponse({}), '.', {tagName: new URLSearchParams()}),
-		/^TypeError.*Expected `tagName` option to be an HTML tag name \(<string>\), but got a non-string value URLSearchParams \{\}\./u,
-		'should fail when `tagName` option is not a string.'
+	t.equal(
+		response.headers.get('etag'),
+		`base${createHash('md5').update('<script></script><p>banner</p><img>🦑').digest('base64')}`,
+		'should modify Etag only once.'
 	);
 
-	t.throws(
-		() => insertHtmlContent(new ServerResponse({}), '.', {tagName: ''}),
-		/^Error.*Expected `tagName` option to be an HTML tag name, but got '' \(empty string\)\./u,
-		'should fail when `tagName` option is an empty string.'
+	await promisify(server.close.bind(server))();
+
+	t.end();
+});
+
+test('`position` option', async t => {
+	const omittedEndTagCases = new Map([
+		['/head/', [{tagName: 'head', insertToEnd: true}, '<html><head><title>x</title><body><p>a</p></body></html>']],
+		['/head-at-end/', [{tagName: 'head', insertToEnd: true}, '<head><title>x</title><body><p>a</p></body>']],
+		['/li/', [{selector: 'li', position: 'beforeend', occurrence: 'all'}, '<body><ul><li>a<li>b</ul></body>']],
+		['/dd/', [{tagName: 'dt', position: 'afterend', occurrence: 'all'}, '<body><dl><dt>a<dd>b<dt>c<dd>d</dl></body>']],
+		['/td/', [{tagName: 'td', position: 'afterend', occurrence: 'all'}, '<body><table><tr><td>a<td>b<tr><td>c</table></body>']],
+		['/option/', [{tagName: 'option', insertToEnd: true, occurrence: 'all'}, '<body><select><option>a<option>b</select></body>']],
+		['/p/', [{tagName: 'p', position: 'afterend'}, '<body><p>a<div>b</div></body>']],
+		['/unclosed/', [{tagName: 'span', insertToEnd: true}, '<body><div><span>a</div></body>']]
+	]);
+	const server = createServer((req, res) => {
+		res.setHeader('content-type', 'text/html');
+
+		if (omittedEndTagCases.has(req.url)) {
+			const [options, html] = omittedEndTagCases.get(req.url);
+
+			insertHtmlContent(res, 'X', options);
+			res.end(html);
+			return;
+		}
+
+		insertHtmlContent(res, [
+			{content: '1', position: 'beforebegin'},
+			{content: '2', position: 'afterbegin'},
+			{content: '3', position: 'beforeend'},
+			{content: '4', position: 'afterend'},
+			{content: '5', tagName: 'div', position: 'beforeend'},
+			{content: '6', tagName: 'div', position: 'afterend'},
+			{content: '7', tagName: 'br', position: 'beforeend'}
+		]);
+		res.end('<html><body><div><div></div></div><br></body></html>');
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	t.equal(
+		await (await fetch('http://localhost:3018/')).text(),
+		'<html>1<body>2<div><div></div>5</div>6<br>73</body>4</html>',
+		'should insert contents to the given positions relative to the matched elements.'
 	);
 
-	t.throws(
-		() => insertHtmlContent(new ServerResponse({}), '.', {tagName: '\r'}),
-		/^Error.*Expected `tagName` option to be an HTML tag name, but got a whitespace-only string '\\r'\./u,
-		'should fail when `tagName` option is a whitespace-only string.'
+	const bodies = await Promise.all([...omittedEndTagCases.keys()].map(async url => (await fetch(`http://localhost:3018${url}`)).text()));
+
+	t.deepEqual(
+		bodies,
+		[
+			'<html><head><title>x</title>X<body><p>a</p></body></html>',
+			'<head><title>x</title>X<body><p>a</p></body>',
+			'<body><ul><li>aX<li>bX</ul></body>',
+			'<body><dl><dt>aX<dd>b<dt>cX<dd>d</dl></body>',
+			'<body><table><tr><td>aX<td>bX<tr><td>cX</table></body>',
+			'<body><select><option>aX<option>bX</select></body>',
+			'<body><p>aX<div>b</div></body>',
+			'<body><div><span>a</div></body>'
+		],
+		'should regard an element as closed where its omitted end tag is implied.'
 	);
 
-	t.throws(
-		() => insertHtmlContent(new ServerResponse({}), '.', {tagName: 'mai n'}),
-		/^Error.*Expected `tagName` option to be an HTML tag name, but got an invalid tag name 'mai n'\./u,
-		'should fail when `tagName` option is a non-tag-name string.'
+	await promisify(server.close.bind(server))();
+
+	t.end();
+});
+
+test('`selector` option', async t => {
+	const server = createServer((req, res) => {
+		res.setHeader('content-type', 'text/html');
+		insertHtmlContent(res, [
+			{content: '1', selector: 'div#app'},
+			{content: '2', selector: 'main[data-region="content"] > .box.last', position: 'beforeend'},
+			{content: '3', selector: 'meta[name=viewport]', position: 'afterend'},
+			{content: '4', selector: 'body * [hidden]'},
+			{content: '5', selector: ' HTML>BODY>P ', position: 'beforebegin'}
+		]);
+		res.end([
+			'<html><head><meta charset="utf-8"><meta name="viewport" content=""></head><body>',
+			'<div>a</div><div id="app"></div>',
+			'<main><section><div class="box last"></div></section></main>',
+			'<main data-region="content"><div class="last box"><div class="box last"></div></div></main>',
+			'<p><span hidden></span></p>',
+			'</body></html>'
+		].join(''));
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	t.equal(
+		await (await fetch('http://localhost:3018/')).text(),
+		[
+			'<html><head><meta charset="utf-8"><meta name="viewport" content="">3</head><body>',
+			'<div>a</div><div id="app">1</div>',
+			'<main><section><div class="box last"></div></section></main>',
+			'<main data-region="content"><div class="last box"><div class="box last"></div>2</div></main>',
+			'5<p><span hidden>4</span></p>',
+			'</body></html>'
+		].join(''),
+		'should insert contents to the elements matching the given CSS selectors.'
 	);
 
-	t.throws(
-		() => insertHtmlContent(new ServerResponse({}), '.', {insertToEnd: []}),
-		/^TypeError.*Expected `insertToEnd` option to be a boolean, but got a non-boolean value \[\] \(array\)\./u,
-		'should fail when `insertToEnd` option is a non-boolean value.'
+	await promisify(server.close.bind(server))();
+
+	t.end();
+});
+
+test('`occurrence` option', async t => {
+	const html = '<body><pre>a</pre><section>1</section><pre>b</pre><section>2</section><pre>c</pre></body>';
+	const server = createServer((req, res) => {
+		res.setHeader('content-type', 'text/html');
+		res.setHeader('content-length', Buffer.byteLength(html));
+
+		if (req.url.endsWith('all/')) {
+			insertHtmlContent(res, [
+				{content: '<button></button>', tagName: 'pre', position: 'beforeend', occurrence: 'all'},
+				{content: '<p>disclaimer</p>', tagName: 'section', position: 'afterend', occurrence: 2}
+			]);
+
+			res.write(html.slice(0, 30));
+			res.end(html.slice(30));
+			return;
+		}
+
+		if (req.url.endsWith('last/')) {
+			insertHtmlContent(res, '🐾', {tagName: 'pre', occurrence: 'last'});
+
+			res.write(html.slice(0, 40));
+			res.end(html.slice(40));
+			return;
+		}
+
+		insertHtmlContent(res, '|', {selector: 'body > *', occurrence: 'all', position: 'beforebegin'});
+		res.end(html);
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+	await Promise.all([
+		(async () => {
+			const response = await fetch('http://localhost:3018/all/');
+
+			t.equal(
+				await response.text(),
+				'<body><pre>a<button></button></pre><section>1</section><pre>b<button></button></pre><section>2</section>' +
+				'<p>disclaimer</p><pre>c<button></button></pre></body>',
+				'should insert contents to every match or the Nth match.'
+			);
+
+			t.notOk(
+				response.headers.has('content-length'),
+				'should remove Content-Length header when the number of insertions is unknown before writing a body.'
+			);
+		})(),
+		(async () => {
+			const response = await fetch('http://localhost:3018/last/');
+
+			t.equal(
+				await response.text(),
+				'<body><pre>a</pre><section>1</section><pre>b</pre><section>2</section><pre>🐾c</pre></body>',
+				'should insert contents to the last match.'
+			);
+
+			t.equal(
+				response.headers.get('content-length'),
+				`${Buffer.byteLength(html) + Buffer.byteLength('🐾')}`,
+				'should adjust Content-Length header for the last match.'
+			);
+		})(),
+		(async () => {
+			const response = await fetch('http://localhost:3018/');
+
+			t.equal(
+				response.headers.get('content-length'),
+				`${Buffer.byteLength(html) + 5}`,
+				'should set Content-Length header to the actual length when the whole body is passed to `end()`.'
+			);
+
+			t.equal(
+				await response.text(),
+				'<body>|<pre>a</pre>|<section>1</section>|<pre>b</pre>|<section>2</section>|<pre>c</pre></body>',
+				'should insert contents to every element matching the selector.'
+			);
+		})()
+	]);
+	await promisify(server.close.bind(server))();
+
+	t.end();
+});
+
+test('insertHtmlContent() with encoded responses', async t => {
+	const html = `<html><head></head><body>${'<p>🗜</p>'.repeat(1000)}</body></html>`;
+	const server = createServer((req, res) => {
+		if (req.url.endsWith('gzip/')) {
+			const body = zlib.gzipSync(html);
+
+			res.setHeader('content-type', 'text/html');
+			res.setHeader('content-length', body.length);
+			res.setHeader('content-encoding', 'gzip');
+			insertHtmlContent(res, [
+				{content: '<script></script>', tagName: 'head'},
+				{content: '<footer></footer>', insertToEnd: true}
+			]);
+			res.write(body.slice(0, 10));
+			res.write(body.slice(10, 50), noop);
+			res.end(body.slice(50));
+			return;
+		}
+
+		if (req.url.endsWith('br/')) {
+			insertHtmlContent(res, '<hr>', {tagName: 'p', occurrence: 3});
+			res.writeHead(200, {
+				'content-type': 'text/html',
+				'content-encoding': 'br'
+			});
+			res.end(zlib.brotliCompressSync(html));
+			return;
+		}
+
+		insertHtmlContent(res, 'should not be inserted');
+		res.writeHead(200, {
+			'content-type': 'text/html',
+			'content-encoding': 'compress'
+		});
+		res.end('<body></body>');
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+	await Promise.all([
+		(async () => {
+			const response = await fetch('http://localhost:3018/gzip/');
+
+			t.equal(
+				await response.text(),
+				html.replace('<head>', '<head><script></script>').replace('</body>', '<footer></footer></body>'),
+				'should insert contents into a gzip-encoded HTML.'
+			);
+
+			t.notOk(
+				response.headers.has('content-length'),
+				'should remove Content-Length header of an encoded HTML.'
+			);
+		})(),
+		(async () => {
+			const response = await fetch('http://localhost:3018/br/', {compress: false});
+
+			t.equal(
+				zlib.brotliDecompressSync(await response.buffer()).toString(),
+				`<html><head></head><body>${'<p>🗜</p>'.repeat(2)}<p><hr>🗜</p>${'<p>🗜</p>'.repeat(997)}</body></html>`,
+				'should insert contents into a brotli-encoded HTML.'
+			);
+		})(),
+		(async () => {
+			t.equal(
+				await (await fetch('http://localhost:3018/unsupported/', {compress: false})).text(),
+				'<body></body>',
+				'should ignore a response encoded in an unsupported way.'
+			);
+		})()
+	]);
+	await promisify(server.close.bind(server))();
+
+	t.end();
+});
+
+test('insertHtmlContent() with non-UTF-8 HTML', async t => {
+	const sjisHtml = iconv.encode('<html><head><title>日本語</title></head><body>本文</body></html>', 'Shift_JIS');
+	const latin1Html = iconv.encode('<html><head><meta charset="ISO-8859-1"><title>Café</title></head><body>Ça va</body></html>', 'latin1');
+	const utf16Html = iconv.encode('<html><body><p>テスト</p></body></html>', 'utf-16be', {addBOM: true});
+	const utf8BomHtml = Buffer.from('\uFEFF<html><head></head><body><p>テスト</p></body></html>');
+	const server = createServer((req, res) => {
+		if (req.url.endsWith('shift-jis/')) {
+			res.setHeader('content-type', 'text/html; charset=Shift_JIS');
+			res.setHeader('content-length', sjisHtml.length);
+			insertHtmlContent(res, [
+				{content: '<p>挿入</p>'},
+				{content: '<meta name="description" content="説明">', tagName: 'title', position: 'afterend'}
+			]);
+			res.write(sjisHtml.slice(0, 21));
+			res.end(sjisHtml.slice(21));
+			return;
+		}
+
+		if (req.url.endsWith('meta-charset/')) {
+			res.setHeader('content-type', 'text/html');
+			res.setHeader('content-length', latin1Html.length);
+			insertHtmlContent(res, '<p>Déjà vu</p>', {insertToEnd: true});
+			res.write(latin1Html.slice(0, 50));
+			res.end(latin1Html.slice(50));
+			return;
+		}
+
+		if (req.url.endsWith('utf-16/')) {
+			res.setHeader('content-type', 'text/html; charset=utf-16');
+			res.setHeader('content-length', utf16Html.length);
+			insertHtmlContent(res, '<b>挿入</b>', {insertToEnd: true});
+			res.write(utf16Html.slice(0, 9));
+			res.end(utf16Html.slice(9));
+			return;
+		}
+
+		if (req.url.endsWith('utf-8-bom/')) {
+			res.setHeader('content-type', 'text/html');
+			res.setHeader('content-length', utf8BomHtml.length);
+			insertHtmlContent(res, '<b>挿入</b>');
+			res.end(utf8BomHtml);
+			return;
+		}
+
+		if (req.url.endsWith('latin1-strings/')) {
+			res.setHeader('content-type', 'text/html; charset=iso-8859-1');
+			insertHtmlContent(res, '<p>Déjà vu</p>', {insertToEnd: true});
+			res.write('<html><title>café</title>', 'latin1');
+			res.end('<body>Ça va</body></html>', 'latin1');
+			return;
+		}
+
+		res.on('error', ({code, message}) => res.end(`${code} ${message}`));
+		insertHtmlContent(res, '🍣');
+		res.setHeader('content-type', 'text/html; charset=iso-8859-1');
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+	await Promise.all([
+		(async () => {
+			const response = await fetch('http://localhost:3018/shift-jis/');
+			const body = await response.buffer();
+
+			t.equal(
+				iconv.decode(body, 'Shift_JIS'),
+				'<html><head><title>日本語</title><meta name="description" content="説明"></head><body><p>挿入</p>本文</body></html>',
+				'should insert contents into an HTML encoded in the charset specified by Content-Type header.'
+			);
+
+			t.equal(
+				response.headers.get('content-length'),
+				`${body.length}`,
+				'should adjust Content-Length header with the length of the contents encoded in the charset.'
+			);
+		})(),
+		(async () => {
+			const response = await fetch('http://localhost:3018/meta-charset/');
+			const body = await response.buffer();
+
+			t.equal(
+				iconv.decode(body, 'latin1'),
+				'<html><head><meta charset="ISO-8859-1"><title>Café</title></head><body>Ça va<p>Déjà vu</p></body></html>',
+				'should detect the charset from <meta charset> tag.'
+			);
+
+			t.equal(
+				response.headers.get('content-length'),
+				`${body.length}`,
+				'should adjust Content-Length header with the charset detected from <meta charset> tag.'
+			);
+		})(),
+		(async () => {
+			const response = await fetch('http://localhost:3018/utf-16/');
+			const body = await response.buffer();
+
+			t.deepEqual(
+				body,
+				Buffer.concat([Buffer.from([0xFE, 0xFF]), iconv.encode('<html><body><p>テスト</p><b>挿入</b></body></html>', 'utf-16be')]),
+				'should insert contents into a UTF-16 HTML in the byte order specified by its BOM, without adding another BOM.'
+			);
+
+			t.equal(
+				response.headers.get('content-length'),
+				`${body.length}`,
+				'should adjust Content-Length header of a UTF-16 HTML.'
+			);
+		})(),
+		(async () => {
+			t.equal(
+				await (await fetch('http://localhost:3018/utf-8-bom/')).text(),
+				'\uFEFF<html><head></head><body><b>挿入</b><p>テスト</p></body></html>',
+				'should count the BOM of an HTML in the byte offsets.'
+			);
+		})(),
+		(async () => {
+			t.equal(
+				iconv.decode(await (await fetch('http://localhost:3018/latin1-strings/')).buffer(), 'latin1'),
+				'<html><title>café</title><body>Ça va<p>Déjà vu</p></body></html>',
+				'should encode strings with the encoding passed to write() and end().'
+			);
+		})(),
+		(async () => {
+			t.equal(
+				await (await fetch('http://localhost:3018/unencodable/')).text(),
+				'ERR_UNENCODABLE_CONTENT \'🍣\' cannot be inserted into the HTML encoded in iso-8859-1,' +
+				' because it includes a character that cannot be represented in iso-8859-1.',
+				'should make response emit an error when the content cannot be encoded in the charset of the HTML.'
+			);
+		})()
+	]);
+	await promisify(server.close.bind(server))();
+
+	t.end();
+});
+
+test('insertHtmlContent() with dynamic contents', async t => {
+	const calledUrls = [];
+	const server = createServer((req, res) => {
+		if (req.url.endsWith('async/')) {
+			const html = '<html><head></head><body></body></html>';
+
+			insertHtmlContent(res, [
+				{content: '<p>static</p>'},
+				{
+					async content(response) {
+						calledUrls.push(response.req.url);
+						await promisify(setTimeout)(10);
+
+						return `<meta name="url" content="${response.req.url}">`;
+					},
+					tagName: 'head'
+				}
+			]);
+			res.writeHead(200, {
+				'content-type': 'text/html',
+				'content-length': Buffer.byteLength(html),
+				etag: 'tag'
+			});
+			res.write(html.slice(0, 20));
+			res.end(html.slice(20));
+			return;
+		}
+
+		if (req.url.endsWith('sync/')) {
+			res.setHeader('content-type', 'text/html');
+			insertHtmlContent(res, ({req: {url}}) => {
+				calledUrls.push(url);
+				return url;
+			});
+			res.end('<body></body>');
+			return;
+		}
+
+		if (req.url.endsWith('plain-text/')) {
+			insertHtmlContent(res, ({req: {url}}) => calledUrls.push(url));
+			res.setHeader('content-type', 'text/plain');
+			res.end('<body></body>');
+			return;
+		}
+
+		if (req.url.endsWith('rejected/')) {
+			res.on('error', ({message}) => res.end(message));
+			insertHtmlContent(res, async () => {
+				throw new Error('Rejected.');
+			});
+			res.setHeader('content-type', 'text/html');
+			res.end('<body></body>');
+			return;
+		}
+
+		if (req.url.endsWith('replay-error/')) {
+			res.on('error', ({code}) => res.end(code));
+			insertHtmlContent(res, async () => '<p></p>');
+			res.setHeader('content-type', 'text/html');
+			res.write(1);
+			return;
+		}
+
+		res.on('error', ({code, message}) => res.end(`${code} ${message}`));
+		insertHtmlContent(res, () => 1);
+		res.setHeader('content-type', 'text/html');
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+	await Promise.all([
+		(async () => {
+			const response = await fetch('http://localhost:3018/async/');
+			const expected = '<html><head><meta name="url" content="/async/"></head><body><p>static</p></body></html>';
+
+			t.equal(
+				await response.text(),
+				expected,
+				'should insert contents resolved by async functions.'
+			);
+
+			t.equal(
+				response.headers.get('content-length'),
+				`${Buffer.byteLength(expected)}`,
+				'should adjust Content-Length header with the resolved contents.'
+			);
+
+			t.equal(
+				response.headers.get('etag'),
+				`tag${createHash('md5').update('<p>static</p><meta name="url" content="/async/">').digest('base64')}`,
+				'should modify Etag with the resolved contents.'
+			);
+		})(),
+		(async () => {
+			t.equal(
+				await (await fetch('http://localhost:3018/sync/')).text(),
+				'<body>/sync/</body>',
+				'should insert contents returned by functions.'
+			);
+		})(),
+		(async () => {
+			t.equal(
+				await (await fetch('http://localhost:3018/plain-text/')).text(),
+				'<body></body>',
+				'should ignore non-HTML responses.'
+			);
+		})(),
+		(async () => {
+			t.equal(
+				await (await fetch('http://localhost:3018/rejected/')).text(),
+				'Rejected.',
+				'should make response emit an error when the function is rejected.'
+			);
+		})(),
+		(async () => {
+			t.equal(
+				await (await fetch('http://localhost:3018/replay-error/')).text(),
+				'ERR_INVALID_ARG_TYPE',
+				'should make response emit an error thrown by the calls held while resolving the contents.'
+			);
+		})(),
+		(async () => {
+			t.equal(
+				await (await fetch('http://localhost:3018/non-string/')).text(),
+				'ERR_INVALID_RETURN_VALUE Expected a function passed as `content` to return or resolve a <string>, but got 1 (number).',
+				'should make response emit an error when the function returns a non-string value.'
+			);
+		})()
+	]);
+	await promisify(server.close.bind(server))();
+
+	t.deepEqual(
+		calledUrls.sort(),
+		['/async/', '/sync/'],
+		'should call the functions only for HTML responses.'
+	);
+
+	t.end();
+});
+
+test('`csp` option', async t => {
+	const server = createServer((req, res) => {
+		const html = '<html><head></head><body></body></html>';
+		const policies = {
+			'/nonce/': 'script-src \'nonce-YWJj\' \'strict-dynamic\'; style-src \'self\'',
+			'/no-nonce/': 'default-src \'self\'; img-src *;',
+			'/unsafe-inline/': 'script-src \'unsafe-inline\'; style-src \'unsafe-inline\'',
+			'/disabled/': 'script-src \'nonce-YWJj\''
+		};
+
+		insertHtmlContent(res, [
+			{content: '<script>1</script><link rel="stylesheet" href="a.css">', tagName: 'head'},
+			{content: '<style>p {}</style><script nonce="ZGVm" src="b.js"></script>'}
+		], {csp: req.url !== '/disabled/'});
+		res.setHeader('content-type', 'text/html');
+		res.setHeader('content-length', Buffer.byteLength(html));
+
+		if (req.url.startsWith('/etag-')) {
+			const headers = [['etag', '"tag"'], ['content-security-policy', 'script-src \'self\'']];
+
+			for (const [name, value] of req.url === '/etag-first/' ? headers : headers.reverse()) {
+				res.setHeader(name, value);
+			}
+
+			res.end(html);
+			return;
+		}
+
+		res.setHeader('content-security-policy', policies[req.url]);
+		res.end(html);
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+	await Promise.all([
+		(async () => {
+			const response = await fetch('http://localhost:3018/nonce/');
+			const body = await response.text();
+			const {nonce} = /'nonce-(?<nonce>[^']+)'$/u.exec(response.headers.get('content-security-policy')).groups;
+
+			t.equal(
+				body,
+				`<html><head><script nonce="YWJj">1</script><link nonce="${nonce}" rel="stylesheet" href="a.css"></head>` +
+				`<body><style nonce="${nonce}">p {}</style><script nonce="ZGVm" src="b.js"></script></body></html>`,
+				'should add the nonce of the policy to the inserted tags.'
+			);
+
+			t.equal(
+				response.headers.get('content-security-policy'),
+				`script-src 'nonce-YWJj' 'strict-dynamic'; style-src 'self' 'nonce-${nonce}'`,
+				'should add a fresh nonce only to the directive without any nonces.'
+			);
+
+			t.equal(
+				response.headers.get('content-length'),
+				`${Buffer.byteLength(body)}`,
+				'should adjust Content-Length header with the added attributes.'
+			);
+		})(),
+		(async () => {
+			const response = await fetch('http://localhost:3018/no-nonce/');
+			const {nonce} = /^default-src 'self' 'nonce-(?<nonce>[\w+/]{22}==)'; img-src \*$/u
+			.exec(response.headers.get('content-security-policy')).groups;
+
+			t.equal(
+				await response.text(),
+				`<html><head><script nonce="${nonce}">1</script><link nonce="${nonce}" rel="stylesheet" href="a.css"></head>` +
+				`<body><style nonce="${nonce}">p {}</style><script nonce="ZGVm" src="b.js"></script></body></html>`,
+				'should add a fresh nonce to the policy and the inserted tags.'
+			);
+		})(),
+		(async () => {
+			const response = await fetch('http://localhost:3018/unsafe-inline/');
+
+			t.equal(
+				await response.text(),
+				'<html><head><script>1</script><link rel="stylesheet" href="a.css"></head>' +
+				'<body><style>p {}</style><script nonce="ZGVm" src="b.js"></script></body></html>',
+				'should not add any nonces when the policy allows inline elements.'
+			);
+
+			t.equal(
+				response.headers.get('content-security-policy'),
+				'script-src \'unsafe-inline\'; style-src \'unsafe-inline\'',
+				'should not modify the policy allowing inline elements.'
+			);
+		})(),
+		(async () => {
+			t.equal(
+				await (await fetch('http://localhost:3018/disabled/')).text(),
+				'<html><head><script>1</script><link rel="stylesheet" href="a.css"></head>' +
+				'<body><style>p {}</style><script nonce="ZGVm" src="b.js"></script></body></html>',
+				'should not add any nonces unless `csp` option is enabled.'
+			);
+		})(),
+		(async () => {
+			const digest = createHash('md5')
+			.update('<script>1</script><link rel="stylesheet" href="a.css"><style>p {}</style><script nonce="ZGVm" src="b.js"></script>')
+			.digest('base64');
+
+			t.deepEqual(
+				await Promise.all(['/etag-first/', '/etag-last/'].map(async path => {
+					const response = await fetch(`http://localhost:3018${path}`);
+
+					await response.text();
+					return response.headers.get('etag');
+				})),
+				[`"tag-${digest}"`, `"tag-${digest}"`],
+				'should leave the nonces out of the digest appended to Etag, whichever header is set first.'
+			);
+		})()
+	]);
+	await promisify(server.close.bind(server))();
+
+	t.end();
+});
+
+test('`fallback` option', async t => {
+	const fragment = '<!DOCTYPE html><p>partial</p>';
+	const fallbacks = [];
+	const results = new Map();
+	const server = createServer((req, res) => {
+		const [, fallback] = req.url.split('/');
+		const insertion = fallback === 'create' ?
+			insertHtmlContent(res, [
+				{content: '<title>🍃</title>', tagName: 'head', fallback},
+				{content: '<hr>', fallback}
+			]) :
+			insertHtmlContent(res, '<hr>', fallback ? {fallback} : {});
+
+		insertion.on('fallback', info => fallbacks.push(info));
+		results.set(req.url, insertion.result);
+
+		res.setHeader('content-type', 'text/html');
+		res.setHeader('content-length', Buffer.byteLength(fragment));
+		res.writeHead(200);
+		res.write(fragment.slice(0, 20));
+		res.end(fragment.slice(20));
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	let response = await fetch('http://localhost:3018/');
+
+	t.equal(
+		await response.text(),
+		fragment,
+		'should leave a body without the target tag as it is by default.'
+	);
+
+	t.equal(
+		response.headers.get('content-length'),
+		`${Buffer.byteLength(fragment)}`,
+		'should correct Content-Length header when the content is not inserted.'
+	);
+
+	t.deepEqual(
+		fallbacks.splice(0),
+		[{index: 0, content: '<hr>', fallback: 'none'}],
+		'should make the insertion emit a `fallback` event when the target tag never appears.'
+	);
+
+	t.deepEqual(
+		await results.get('/'),
+		{inserted: false, reason: 'not-found', offset: null, fallback: 'none', bytesScanned: Buffer.byteLength(fragment)},
+		'should report the fallback in the result of the insertion.'
+	);
+
+	response = await fetch('http://localhost:3018/prepend/');
+
+	t.equal(
+		await response.text(),
+		'<!DOCTYPE html><hr><p>partial</p>',
+		'should insert a content just after the doctype with `fallback: \'prepend\'`.'
+	);
+
+	t.equal(
+		response.headers.get('content-length'),
+		`${Buffer.byteLength(fragment) + 4}`,
+		'should adjust Content-Length header with `fallback: \'prepend\'`.'
+	);
+
+	response = await fetch('http://localhost:3018/append/');
+
+	t.equal(
+		await response.text(),
+		'<!DOCTYPE html><p>partial</p><hr>',
+		'should insert a content to the end of the body with `fallback: \'append\'`.'
+	);
+
+	t.deepEqual(
+		fallbacks.splice(0),
+		[
+			{index: 0, content: '<hr>', fallback: 'prepend'},
+			{index: 0, content: '<hr>', fallback: 'append'}
+		],
+		'should pass the way of the fallback to `fallback` event listeners.'
+	);
+
+	t.equal(
+		(await results.get('/append/')).fallback,
+		'append',
+		'should report the way of the fallback in the result of the insertion.'
+	);
+
+	response = await fetch('http://localhost:3018/create/');
+
+	t.equal(
+		await response.text(),
+		'<!DOCTYPE html><head><title>🍃</title></head><p>partial</p><body><hr></body>',
+		'should create the missing element around a content with `fallback: \'create\'`.'
+	);
+
+	t.equal(
+		response.headers.get('content-length'),
+		`${Buffer.byteLength(fragment) + Buffer.byteLength('<head><title>🍃</title></head><body><hr></body>')}`,
+		'should set Content-Length header to the actual length with `fallback: \'create\'`.'
+	);
+
+	await promisify(server.close.bind(server))();
+
+	const stream = createInsertionStream('<hr>', {fallback: 'append'});
+	const infos = [];
+
+	stream.on('fallback', info => infos.push(info));
+	stream.end('<p>partial</p>');
+
+	t.equal(
+		Buffer.concat(await stream.toArray()).toString(),
+		'<p>partial</p><hr>',
+		'should support `fallback` option in a stream.'
+	);
+
+	t.deepEqual(
+		infos,
+		[{index: 0, content: '<hr>', fallback: 'append'}],
+		'should make a stream emit a `fallback` event.'
+	);
+
+	const transformInfos = [];
+	const transformStream = Readable.toWeb(Readable.from(['<p>partial</p>']))
+	.pipeThrough(createInsertionTransformStream('<hr>', {fallback: 'prepend', onFallback: info => transformInfos.push(info)}));
+
+	t.equal(
+		Buffer.concat(await Readable.fromWeb(transformStream).toArray()).toString(),
+		'<hr><p>partial</p>',
+		'should support `fallback` option in a WHATWG stream.'
+	);
+
+	t.deepEqual(
+		transformInfos,
+		[{index: 0, content: '<hr>', fallback: 'prepend'}],
+		'should call `onFallback` option of a WHATWG stream.'
+	);
+
+	const responseInfos = [];
+	const response2 = await insertIntoResponse(new Response('<p>partial</p>', {headers: {'content-type': 'text/html'}}), [
+		{content: '<title>t</title>', tagName: 'head'},
+		{content: '<hr>', fallback: 'append'}
+	], {onFallback: info => responseInfos.push(info)});
+
+	t.equal(
+		await response2.text(),
+		'<p>partial</p><hr>',
+		'should support `fallback` option in a Response.'
+	);
+
+	t.deepEqual(
+		responseInfos,
+		[{index: 0, content: '<title>t</title>', fallback: 'none'}, {index: 1, content: '<hr>', fallback: 'append'}],
+		'should call `onFallback` option with every rule that falls back.'
+	);
+
+	const htmlStream = createInsertionStream('<title>t</title>', {tagName: 'head', fallback: 'create'});
+
+	htmlStream.end('<!doctype html><html lang="en"><body>x</body></html>');
+
+	t.equal(
+		Buffer.concat(await htmlStream.toArray()).toString(),
+		'<!doctype html><html lang="en"><head><title>t</title></head><body>x</body></html>',
+		'should create the missing <head> just after the <html> start tag with `fallback: \'create\'`.'
+	);
+
+	t.end();
+});
+
+test('Return value of insertHtmlContent()', async t => {
+	const insertions = new Map();
+	const insertHtmlContentFromClass = new insertHtmlContent.InsertHtmlContent('<hr>');
+	const server = createServer((req, res) => {
+		const html = '<html><body><p>a</p><p>b</p></body></html>';
+
+		if (req.url === '/headers-sent/') {
+			res.writeHead(200, {'content-type': 'text/html'});
+			insertions.set(req.url, insertHtmlContent(res, '<hr>'));
+			res.end(html);
+			return;
+		}
+
+		if (req.url === '/invalid-utf8/') {
+			res.on('error', ({message}) => res.end(message));
+			insertions.set(req.url, insertHtmlContent(res, '<hr>'));
+			res.writeHead(200, {'content-type': 'text/html'});
+			res.end(Buffer.from([0xAC]));
+			return;
+		}
+
+		if (req.url === '/utf-7/') {
+			insertions.set(req.url, insertHtmlContent(res, '<hr>'));
+			res.writeHead(200, {'content-type': 'text/html; charset=utf-7'});
+			res.end(html);
+			return;
+		}
+
+		if (req.url === '/destroyed/') {
+			const insertion = insertHtmlContent(res, '<hr>');
+
+			insertion.skippedReasons = [];
+			insertion.on('skipped', ({reason}) => insertion.skippedReasons.push(reason));
+			insertions.set(req.url, insertion);
+			res.setHeader('content-type', 'text/html');
+			res.write('<html><head>');
+			setImmediate(() => res.destroy());
+			return;
+		}
+
+		const insertion = req.url === '/class/' ? insertHtmlContentFromClass(res) : insertHtmlContent(res, [
+			{content: '<hr>', tagName: 'p', occurrence: 'all'},
+			{content: '<br>', tagName: 'body'},
+			{content: '<wbr>', tagName: 'main'}
+		]);
+		const events = [];
+
+		insertion.on('inserted', info => events.push(['inserted', info]));
+		insertion.on('skipped', info => events.push(['skipped', info]));
+		insertions.set(req.url, insertion);
+		insertion.events = events;
+
+		res.setHeader('content-type', req.url === '/plain-text/' ? 'text/plain' : 'text/html');
+		res.write(html.slice(0, 15));
+		res.end(html.slice(15));
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	t.equal(
+		await (await fetch('http://localhost:3018/')).text(),
+		'<html><body><br><p><hr>a</p><p><hr>b</p></body></html>',
+		'should insert contents as usual.'
+	);
+
+	let insertion = insertions.get('/');
+
+	t.deepEqual(
+		await insertion.result,
+		{inserted: true, reason: 'not-found', offset: 12, fallback: 'none', bytesScanned: 42},
+		'should resolve `result` promise with the outcome of the insertion.'
+	);
+
+	t.deepEqual(
+		insertion.events,
+		[
+			['inserted', {index: 1, content: '<br>', offset: 12}],
+			['inserted', {index: 0, content: '<hr>', offset: 15}],
+			['inserted', {index: 0, content: '<hr>', offset: 23}],
+			['skipped', {index: 2, content: '<wbr>', reason: 'not-found'}]
+		],
+		'should emit `inserted` and `skipped` events.'
+	);
+
+	await (await fetch('http://localhost:3018/class/')).text();
+	insertion = insertions.get('/class/');
+
+	t.deepEqual(
+		await insertion.result,
+		{inserted: true, reason: null, offset: 12, fallback: null, bytesScanned: 12},
+		'should make a function created by InsertHtmlContent class return the same value.'
+	);
+
+	t.deepEqual(
+		insertion.events,
+		[['inserted', {index: 0, content: '<hr>', offset: 12}]],
+		'should not emit `skipped` events when every content is inserted.'
+	);
+
+	await (await fetch('http://localhost:3018/plain-text/')).text();
+	insertion = insertions.get('/plain-text/');
+
+	t.deepEqual(
+		await insertion.result,
+		{inserted: false, reason: 'not-html', offset: null, fallback: null, bytesScanned: 0},
+		'should tell that the response is not HTML.'
+	);
+
+	t.deepEqual(
+		insertion.events.map(([eventName, {index, reason}]) => [eventName, index, reason]),
+		[['skipped', 0, 'not-html'], ['skipped', 1, 'not-html'], ['skipped', 2, 'not-html']],
+		'should emit `skipped` events for every insertion rule.'
+	);
+
+	await (await fetch('http://localhost:3018/headers-sent/')).text();
+
+	t.deepEqual(
+		await insertions.get('/headers-sent/').result,
+		{inserted: false, reason: 'headers-sent', offset: null, fallback: null, bytesScanned: 0},
+		'should tell that the headers have been already sent.'
+	);
+
+	await (await fetch('http://localhost:3018/invalid-utf8/')).text();
+
+	t.equal(
+		(await insertions.get('/invalid-utf8/').result).reason,
+		'encoding-error',
+		'should tell that the HTML cannot be decoded.'
+	);
+
+	t.equal(
+		await (await fetch('http://localhost:3018/utf-7/')).text(),
+		'<html><body><p>a</p><p>b</p></body></html>',
+		'should leave an HTML in a stateful encoding as it is.'
+	);
+
+	t.equal(
+		(await insertions.get('/utf-7/').result).reason,
+		'encoding-error',
+		'should tell that the charset where the byte offsets cannot be counted is not supported.'
+	);
+
+	await new Promise(resolve => {
+		get('http://localhost:3018/destroyed/', response => response.on('error', resolve).on('close', resolve).resume())
+		.on('error', resolve);
+	});
+
+	insertion = insertions.get('/destroyed/');
+
+	t.deepEqual(
+		[(await insertion.result).reason, insertion.skippedReasons],
+		['aborted', ['aborted']],
+		'should tell that the response is closed before it ends.'
+	);
+
+	await promisify(server.close.bind(server))();
+
+	t.end();
+});
+
+test('Cancelling and updating an insertion', async t => {
+	const html = '<html><body><p>🍂</p></body></html>';
+	const results = new Map();
+	const server = createServer((req, res) => {
+		const insertion = insertHtmlContent(res, req.url === '/async/' ? async () => '<hr>' : '<hr>');
+		const result = {insertion, skipped: []};
+
+		insertion.on('skipped', info => result.skipped.push(info));
+		results.set(req.url, result);
+
+		res.setHeader('content-type', 'text/html');
+		res.setHeader('content-length', Buffer.byteLength(html));
+		res.setHeader('etag', 'original');
+
+		if (req.url === '/update/') {
+			result.returnValue = insertion.update('<br><br>', {insertToEnd: true});
+			res.end(html);
+			return;
+		}
+
+		if (req.url === '/too-late/') {
+			res.write(html.slice(0, 15));
+			result.returnValue = insertion.cancel();
+			res.end(html.slice(15));
+			return;
+		}
+
+		if (req.url === '/async/') {
+			res.end(html);
+		}
+
+		result.returnValue = insertion.cancel();
+
+		if (req.url !== '/async/') {
+			res.end(html);
+		}
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	let response = await fetch('http://localhost:3018/cancel/');
+	let result = results.get('/cancel/');
+
+	t.ok(result.returnValue, 'should make `cancel()` return true when it cancels the insertion.');
+
+	t.equal(
+		await response.text(),
+		html,
+		'should cancel the insertion.'
+	);
+
+	t.deepEqual(
+		[response.headers.get('content-length'), response.headers.get('etag')],
+		[`${Buffer.byteLength(html)}`, 'original'],
+		'should restore Content-Length header and Etag header modified before the cancellation.'
+	);
+
+	t.deepEqual(
+		[await result.insertion.result, result.skipped],
+		[
+			{inserted: false, reason: 'cancelled', offset: null, fallback: null, bytesScanned: 0},
+			[{index: 0, content: '<hr>', reason: 'cancelled'}]
+		],
+		'should tell that the insertion is cancelled.'
+	);
+
+	response = await fetch('http://localhost:3018/async/');
+
+	t.equal(
+		await response.text(),
+		html,
+		'should send the body held while resolving a dynamic content as it is.'
+	);
+
+	t.ok(results.get('/async/').returnValue, 'should cancel the insertion while resolving a dynamic content.');
+
+	response = await fetch('http://localhost:3018/update/');
+	result = results.get('/update/');
+
+	t.equal(
+		await response.text(),
+		'<html><body><p>🍂</p><br><br></body></html>',
+		'should replace the content and the options with the given ones.'
+	);
+
+	t.deepEqual(
+		[response.headers.get('content-length'), response.headers.get('etag')],
+		[`${Buffer.byteLength(html) + 8}`, `original${createHash('md5').update('<br><br>').digest('base64')}`],
+		'should adjust Content-Length header and Etag header with the new content.'
+	);
+
+	t.deepEqual(
+		[result.returnValue, await result.insertion.result],
+		[true, {inserted: true, reason: null, offset: 23, fallback: null, bytesScanned: 30}],
+		'should keep reporting the outcome with the same handle after updating the content.'
+	);
+
+	response = await fetch('http://localhost:3018/too-late/');
+
+	t.equal(
+		await response.text(),
+		'<html><body><hr><p>🍂</p></body></html>',
+		'should not cancel the insertion once the body starts to be written.'
+	);
+
+	t.notOk(results.get('/too-late/').returnValue, 'should make `cancel()` return false when it is too late.');
+
+	await promisify(server.close.bind(server))();
+
+	const insertion = insertHtmlContent(new ServerResponse({}), '.');
+
+	t.throws(
+		() => insertion.cancel(true),
+		/^RangeError.*Expected no arguments, but got 1 argument\./u,
+		'should throw an error when `cancel()` takes any arguments.'
+	);
+
+	t.throws(
+		() => insertion.update(),
+		/^RangeError.*Expected 1 or 2 arguments \(<string>\[, <Object>\]\), but got no arguments\./u,
+		'should throw an error when `update()` takes no arguments.'
+	);
+
+	t.throws(
+		() => insertion.update('.', {position: 'inside'}),
+		/^Error.*Expected `position` option to be one of 'beforebegin', 'afterbegin', 'beforeend', 'afterend', but got 'inside'\./u,
+		'should validate the options passed to `update()`.'
+	);
+
+	t.end();
+});
+
+test('insertHtmlContent() with HEAD requests and responses without a whole body', async t => {
+	const html = '<html><body><p>🍁</p></body></html>';
+	const digest = createHash('md5').update('<hr>').digest('base64');
+	const insertions = new Map();
+	const server = createServer((req, res) => {
+		insertions.set(`${req.method} ${req.url}`, insertHtmlContent(res, '<hr>'));
+
+		res.setHeader('content-type', 'text/html');
+		res.setHeader('etag', 'abc');
+
+		if (req.url === '/no-content/') {
+			res.writeHead(204);
+			res.end();
+			return;
+		}
+
+		if (req.url === '/not-modified/') {
+			res.statusCode = 304;
+			res.end();
+			return;
+		}
+
+		if (req.url === '/partial-content/') {
+			res.setHeader('content-range', `bytes 0-9/${Buffer.byteLength(html)}`);
+			res.setHeader('content-length', 10);
+			res.statusCode = 206;
+			res.end(html.slice(0, 10));
+			return;
+		}
+
+		res.setHeader('content-length', Buffer.byteLength(html));
+		res.end(html);
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	const [getResponse, headResponse] = await Promise.all(['GET', 'HEAD'].map(method => fetch('http://localhost:3018/', {method})));
+
+	t.deepEqual(
+		[headResponse.headers.get('content-length'), headResponse.headers.get('etag')],
+		[getResponse.headers.get('content-length'), getResponse.headers.get('etag')],
+		'should adjust the headers of a response to HEAD request in the same way as GET.'
+	);
+
+	t.equal(
+		headResponse.headers.get('content-length'),
+		`${Buffer.byteLength(html) + 4}`,
+		'should adjust Content-Length header of a response to HEAD request with the insertion length.'
+	);
+
+	t.equal(
+		(await insertions.get('HEAD /').result).reason,
+		'no-body',
+		'should tell that a response to HEAD request has no body.'
+	);
+
+	let response = await fetch('http://localhost:3018/no-content/');
+
+	t.deepEqual(
+		[response.status, response.headers.get('etag')],
+		[204, 'abc'],
+		'should leave 204 response as it is.'
+	);
+
+	t.deepEqual(
+		await insertions.get('GET /no-content/').result,
+		{inserted: false, reason: 'no-body', offset: null, fallback: null, bytesScanned: 0},
+		'should tell that 204 response has no body.'
+	);
+
+	response = await fetch('http://localhost:3018/not-modified/');
+
+	t.deepEqual(
+		[response.status, response.headers.get('etag')],
+		[304, `abc${digest}`],
+		'should keep Etag of 304 response the same as that of the full response.'
+	);
+
+	response = await fetch('http://localhost:3018/partial-content/');
+
+	t.equal(
+		await response.text(),
+		html.slice(0, 10),
+		'should not insert contents into a part of the body.'
+	);
+
+	t.deepEqual(
+		[response.headers.get('content-length'), response.headers.get('content-range'), response.headers.get('etag')],
+		['10', `bytes 0-9/${Buffer.byteLength(html)}`, 'abc'],
+		'should leave the headers of 206 response as they are.'
+	);
+
+	t.equal(
+		(await insertions.get('GET /partial-content/').result).reason,
+		'partial-content',
+		'should tell that 206 response has only a part of the body.'
+	);
+
+	await promisify(server.close.bind(server))();
+
+	t.end();
+});
+
+test('`mediaTypes` option and XHTML', async t => {
+	const server = createServer((req, res) => {
+		if (req.url === '/namespaces/') {
+			insertHtmlContent(res, [
+				{content: '🍄', tagName: 'title'},
+				{content: '🌰', tagName: 'p'}
+			]);
+			res.setHeader('content-type', 'application/xhtml+xml');
+			res.end('<html xmlns="http://www.w3.org/1999/xhtml"><svg xmlns="http://www.w3.org/2000/svg"><title>icon</title></svg>' +
+				'<title>page</title><x:p xmlns:x="urn:x">1</x:p><h:p xmlns:h="http://www.w3.org/1999/xhtml">2</h:p></html>');
+			return;
+		}
+
+		insertHtmlContent(res, '<hr/>', {tagName: req.url === '/case/' ? 'Body' : 'Section', fallback: 'prepend'});
+		res.setHeader('content-type', 'application/xhtml+xml; charset=utf-8');
+		res.end('<?xml version="1.0" encoding="UTF-8"?><body><section/><Section>A</Section></body>');
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	t.equal(
+		await (await fetch('http://localhost:3018/namespaces/')).text(),
+		'<html xmlns="http://www.w3.org/1999/xhtml"><svg xmlns="http://www.w3.org/2000/svg"><title>icon</title></svg>' +
+		'<title>🍄page</title><x:p xmlns:x="urn:x">1</x:p><h:p xmlns:h="http://www.w3.org/1999/xhtml">🌰2</h:p></html>',
+		'should insert contents only into XHTML elements of an XHTML document.'
+	);
+
+	t.equal(
+		await (await fetch('http://localhost:3018/')).text(),
+		'<?xml version="1.0" encoding="UTF-8"?><body><section/><Section><hr/>A</Section></body>',
+		'should match tag names of XHTML case-sensitively.'
+	);
+
+	t.equal(
+		await (await fetch('http://localhost:3018/case/')).text(),
+		'<?xml version="1.0" encoding="UTF-8"?><hr/><body><section/><Section>A</Section></body>',
+		'should prepend a content after the XML declaration as a fallback.'
+	);
+
+	await promisify(server.close.bind(server))();
+
+	async function insert(contentType, options) {
+		const response = await insertIntoResponse(new Response('<body></body>', {headers: {'content-type': contentType}}), '✓', options);
+		return response.text();
+	}
+
+	t.deepEqual(
+		await Promise.all([
+			insert('text/x-handlebars-html', {mediaTypes: 'text/x-handlebars-html'}),
+			insert('text/html', {mediaTypes: 'text/x-handlebars-html'})
+		]),
+		['<body>✓</body>', '<body></body>'],
+		'should insert contents only into the given media type.'
+	);
+
+	t.deepEqual(
+		await Promise.all([
+			insert('Text/X-Template; charset=utf-8', {mediaTypes: ['text/*']}),
+			insert('image/svg+xml', {mediaTypes: ['application/*', '*/*+xml']}),
+			insert('text/plain', {mediaTypes: ['application/*', '*/*+xml']})
+		]),
+		['<body>✓</body>', '<body>✓</body>', '<body></body>'],
+		'should support wildcards in media types.'
+	);
+
+	t.deepEqual(
+		await Promise.all([
+			insert('text/vnd.custom-html', {mediaTypes: mediaType => mediaType.endsWith('html')}),
+			insert('text/plain', {mediaTypes: mediaType => mediaType.endsWith('html')})
+		]),
+		['<body>✓</body>', '<body></body>'],
+		'should support a function to decide which media types to insert contents into.'
+	);
+
+	t.equal(
+		await insert('text/plain'),
+		'<body></body>',
+		'should insert contents only into HTML and XHTML by default.'
+	);
+
+	t.end();
+});
+
+test('`placeholder` option', async t => {
+	const html = '<html><head><!-- inject:styles --></head><body><!--inject:analytics--><p>🐝</p><!-- slot --><!-- slot --></body></html>';
+	const server = createServer((req, res) => {
+		res.setHeader('content-type', 'text/html');
+		res.setHeader('content-length', Buffer.byteLength(html));
+
+		if (req.url === '/all/') {
+			insertHtmlContent(res, '<hr>', {placeholder: /^\s*slot\s*$/u, occurrence: 'all'});
+		} else if (req.url === '/missing/') {
+			insertHtmlContent(res, '<hr>', {placeholder: 'inject:missing'});
+		} else {
+			insertHtmlContent(res, [
+				{content: '<link rel="stylesheet" href="a.css">', placeholder: 'inject:styles'},
+				{content: '<script src="a.js"></script>', placeholder: /inject:analytics/u},
+				{content: '<footer></footer>'}
+			], {tagName: 'body', insertToEnd: true});
+		}
+
+		res.write(html.slice(0, 20));
+		res.end(html.slice(20));
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	let response = await fetch('http://localhost:3018/');
+	let body = await response.text();
+
+	t.equal(
+		body,
+		'<html><head><link rel="stylesheet" href="a.css"></head><body><script src="a.js"></script><p>🐝</p><!-- slot --><!-- slot -->' +
+		'<footer></footer></body></html>',
+		'should replace comments matching placeholders with contents.'
+	);
+
+	t.equal(
+		response.headers.get('content-length'),
+		`${Buffer.byteLength(body)}`,
+		'should adjust Content-Length header with the lengths of the removed comments.'
+	);
+
+	response = await fetch('http://localhost:3018/all/');
+
+	t.equal(
+		await response.text(),
+		'<html><head><!-- inject:styles --></head><body><!--inject:analytics--><p>🐝</p><hr><hr></body></html>',
+		'should replace every comment matching a placeholder with `occurrence: \'all\'`.'
+	);
+
+	response = await fetch('http://localhost:3018/missing/');
+	body = await response.text();
+
+	t.deepEqual(
+		[body, response.headers.get('content-length')],
+		[html, `${Buffer.byteLength(html)}`],
+		'should leave the body as it is when no comment matches the placeholder.'
+	);
+
+	await promisify(server.close.bind(server))();
+
+	response = await insertIntoResponse(new Response('<body><!-- ad --></body>', {
+		headers: {'content-type': 'text/html', 'content-length': '24'}
+	}), '<aside></aside>', {placeholder: 'ad'});
+
+	t.deepEqual(
+		[await response.text(), response.headers.get('content-length')],
+		['<body><aside></aside></body>', '28'],
+		'should replace a placeholder comment of a Response.'
+	);
+
+	t.end();
+});
+
+test('`attributes` option', async t => {
+	const html = '<html><head></head><body class="page  home" data-removed="1" data-tmp><main id=a>🐝</main><main id=b></main></body></html>';
+	const server = createServer((req, res) => {
+		res.setHeader('content-type', 'text/html');
+		res.setHeader('content-length', Buffer.byteLength(html));
+
+		if (req.url === '/last/') {
+			insertHtmlContent(res, [
+				{tagName: 'main', occurrence: 'last', attributes: {'data-build-id': '"1" & <2>'}},
+				{tagName: 'main', attributes: {id: 'first'}}
+			]);
+		} else if (req.url === '/missing/') {
+			insertHtmlContent(res, '', {tagName: 'nav', attributes: {hidden: true}});
+		} else {
+			insertHtmlContent(res, [
+				{tagName: 'html', attributes: {lang: 'en'}},
+				{content: '<script></script>', attributes: {class: 'home theme-dark', 'data-removed': null, 'data-tmp': false, hidden: true}},
+				{attributes: {class: 'js'}}
+			]);
+		}
+
+		res.write(html.slice(0, 40));
+		res.end(html.slice(40));
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	let response = await fetch('http://localhost:3018/');
+	let body = await response.text();
+
+	t.equal(
+		body,
+		'<html lang="en"><head></head><body class="page  home theme-dark js" hidden><script></script><main id=a>🐝</main><main id=b></main></body></html>',
+		'should set, append to and remove attributes of the target elements.'
+	);
+
+	t.equal(
+		response.headers.get('content-length'),
+		`${Buffer.byteLength(body)}`,
+		'should adjust Content-Length header with the length of the rewritten attributes.'
+	);
+
+	response = await fetch('http://localhost:3018/last/');
+	body = await response.text();
+
+	t.deepEqual(
+		[body, response.headers.get('content-length')],
+		[
+			'<html><head></head><body class="page  home" data-removed="1" data-tmp>' +
+			'<main id="first">🐝</main><main id=b data-build-id="&quot;1&quot; &amp; &lt;2&gt;"></main></body></html>',
+			null
+		],
+		'should escape attribute values and support `occurrence` option.'
+	);
+
+	response = await fetch('http://localhost:3018/missing/');
+
+	t.deepEqual(
+		[await response.text(), response.headers.get('content-length')],
+		[html, `${Buffer.byteLength(html)}`],
+		'should leave the body as it is when the target element doesn\'t appear.'
+	);
+
+	await promisify(server.close.bind(server))();
+
+	t.equal(
+		await (await insertIntoResponse(new Response('<p>Not Found</p>', {headers: {'content-type': 'text/html'}}), '', {
+			tagName: 'body',
+			fallback: 'create',
+			attributes: {class: 'error', hidden: true}
+		})).text(),
+		'<p>Not Found</p><body class="error" hidden></body>',
+		'should give the attributes to the element created as a fallback.'
+	);
+
+	t.equal(
+		await (await insertIntoResponse(new Response('<html><br/></html>', {
+			headers: {'content-type': 'application/xhtml+xml'}
+		}), '', {tagName: 'br', attributes: {hidden: true}})).text(),
+		'<html><br hidden="hidden"/></html>',
+		'should give a value to a boolean attribute in XHTML.'
+	);
+
+	t.end();
+});
+
+test('`dedupe` option', async t => {
+	const html = '<html><head><script src="a.js"></script><meta name="x"></head><body><p>🐝</p></body></html>';
+	const insertions = new Map();
+	const skipped = [];
+	const server = createServer((req, res) => {
+		res.setHeader('content-type', 'text/html');
+		res.setHeader('content-length', Buffer.byteLength(html));
+
+		if (req.url === '/chain/') {
+			res.setHeader('etag', '"original"');
+			insertHtmlContent(res, '<link href="b.css">', {tagName: 'head', insertToEnd: true, dedupe: true});
+			insertions.set(req.url, insertHtmlContent(res, '<link href="b.css">', {tagName: 'head', insertToEnd: true, dedupe: true}));
+		} else if (req.url === '/chain-without-etag/') {
+			insertHtmlContent(res, '<link href="b.css">', {tagName: 'head', insertToEnd: true, dedupe: true});
+			insertHtmlContent(res, '<link href="b.css">', {tagName: 'head', insertToEnd: true, dedupe: true});
+		} else {
+			insertHtmlContent(res, [
+				{content: '<script src="a.js" defer></script>', tagName: 'body'},
+				{content: '<meta name="x">', tagName: 'body', insertToEnd: true},
+				{content: '<script src="b.js"></script>', tagName: 'body'},
+				{content: '<script src="a.js"></script>', tagName: 'head'}
+			], {dedupe: true}).on('skipped', info => skipped.push(info));
+		}
+
+		res.write(html.slice(0, 30));
+		res.end(html.slice(30));
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	let response = await fetch('http://localhost:3018/');
+	let body = await response.text();
+
+	t.deepEqual(
+		[body, response.headers.get('content-length')],
+		[
+			'<html><head><script src="a.js"></script><script src="a.js"></script><meta name="x"></head>' +
+			'<body><script src="b.js"></script><p>🐝</p></body></html>',
+			`${Buffer.byteLength(body)}`
+		],
+		'should skip a content whose same snippet or element precedes the insertion point.'
+	);
+
+	t.deepEqual(
+		skipped,
+		[
+			{index: 0, content: '<script src="a.js" defer></script>', reason: 'duplicate'},
+			{index: 1, content: '<meta name="x">', reason: 'duplicate'}
+		],
+		'should report the contents skipped as duplicates.'
+	);
+
+	response = await fetch('http://localhost:3018/chain/');
+	body = await response.text();
+
+	t.deepEqual(
+		[body, response.headers.get('content-length')],
+		[html.replace('</head>', '<link href="b.css"></head>'), `${Buffer.byteLength(body)}`],
+		'should insert a content only once even if inserted by multiple functions.'
+	);
+
+	t.deepEqual(
+		await insertions.get('/chain/').result,
+		{inserted: false, reason: 'duplicate', offset: null, fallback: null, bytesScanned: 0},
+		'should skip parsing a response whose Etag shows the same contents have been already inserted.'
+	);
+
+	response = await fetch('http://localhost:3018/chain-without-etag/');
+	body = await response.text();
+
+	t.deepEqual(
+		[body, response.headers.get('content-length')],
+		[html.replace('</head>', '<link href="b.css"></head>'), `${Buffer.byteLength(body)}`],
+		'should detect the content inserted by another function from the body itself.'
+	);
+
+	await promisify(server.close.bind(server))();
+
+	response = await insertIntoResponse(new Response(html, {
+		headers: {'content-type': 'text/html', etag: '"a"'}
+	}), '<link href="b.css">', {dedupe: true});
+
+	const modifiedEtag = response.headers.get('etag');
+
+	response = await insertIntoResponse(new Response(html, {
+		headers: {'content-type': 'text/html', etag: modifiedEtag}
+	}), '<link href="b.css">', {dedupe: true});
+
+	t.deepEqual(
+		[await response.text(), response.headers.get('etag')],
+		[html, modifiedEtag],
+		'should leave a Response whose Etag shows the same contents have been already inserted.'
+	);
+
+	response = await insertIntoResponse(new Response(html, {
+		headers: {'content-type': 'text/html', etag: modifiedEtag}
+	}), '<i></i>', {dedupe: true});
+
+	t.equal(
+		await response.text(),
+		'<html><head><script src="a.js"></script><meta name="x"></head><body><i></i><p>🐝</p></body></html>',
+		'should not regard a response modified with different contents as a duplicate.'
+	);
+
+	t.end();
+});
+
+test('`maxScanBytes` option and large documents', async t => {
+	const html = `<html><head></head><p>${'🐝'.repeat(50)}</p><body></body></html>`;
+	const insertions = new Map();
+	const server = createServer((req, res) => {
+		res.setHeader('content-type', 'text/html');
+		res.setHeader('content-length', Buffer.byteLength(html));
+
+		if (req.url === '/append/') {
+			insertions.set(req.url, insertHtmlContent(res, '<hr>', {maxScanBytes: 100, fallback: 'append'}));
+		} else if (req.url === '/found/') {
+			insertions.set(req.url, insertHtmlContent(res, '<hr>', {maxScanBytes: 300}));
+		} else {
+			insertions.set(req.url, insertHtmlContent(res, [
+				{content: '<title></title>', tagName: 'head'},
+				{content: '<hr>'}
+			], {maxScanBytes: 100}));
+		}
+
+		res.write(html.slice(0, 30));
+		setTimeout(() => res.end(html.slice(30)), 10);
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	let response = await fetch('http://localhost:3018/');
+	let body = await response.text();
+
+	t.deepEqual(
+		[body, response.headers.get('content-length')],
+		[html.replace('<head>', '<head><title></title>'), `${Buffer.byteLength(body)}`],
+		'should give up the targets not found within the limit, and keep Content-Length header consistent.'
+	);
+
+	t.deepEqual(
+		await insertions.get('/').result,
+		{inserted: true, reason: 'scan-limit', offset: 12, fallback: null, bytesScanned: 222},
+		'should report the contents given up because of the limit.'
+	);
+
+	response = await fetch('http://localhost:3018/append/');
+	body = await response.text();
+
+	t.deepEqual(
+		[body, response.headers.get('content-length')],
+		[`${html}<hr>`, `${Buffer.byteLength(body)}`],
+		'should still insert a content to the end of the body with `fallback: \'append\'`.'
+	);
+
+	response = await fetch('http://localhost:3018/found/');
+
+	t.equal(
+		await response.text(),
+		html.replace('<body>', '<body><hr>'),
+		'should insert a content whose target appears within the limit.'
+	);
+
+	t.equal(
+		(await insertions.get('/found/').result).bytesScanned,
+		232,
+		'should stop parsing once the target appears.'
+	);
+
+	await promisify(server.close.bind(server))();
+
+	const stream = createInsertionStream('<hr>', {tagName: 'footer', insertToEnd: true});
+	const chunks = [];
+	const part = `<p>${'🐡'.repeat(256)}</p>`;
+
+	stream.on('data', chunk => chunks.push(chunk));
+	stream.write('<html><body>');
+
+	for (let i = 0; i < 1000; i++) {
+		stream.write(part);
+	}
+
+	stream.end('<footer>🐠</footer></body></html>');
+	await new Promise(resolve => stream.on('end', resolve));
+
+	t.equal(
+		Buffer.concat(chunks).toString(),
+		`<html><body>${part.repeat(1000)}<footer>🐠<hr></footer></body></html>`,
+		'should keep track of the byte offsets across a large number of chunks.'
+	);
+
+	t.end();
+});
+
+test('Backpressure and callbacks of write()', async t => {
+	const part = `<p>${'🐝'.repeat(256)}</p>`;
+	const html = `<html><head></head><body>${part.repeat(1000)}<footer></footer></body></html>`;
+	const results = new Map();
+	const server = createServer((req, res) => {
+		res.setHeader('content-type', 'text/html');
+
+		if (req.url === '/callbacks/') {
+			const events = [];
+
+			res.setHeader('content-length', '39');
+			insertHtmlContent(res, '<hr>');
+			res.write('<html><head></head>', () => events.push('first'));
+			setImmediate(() => {
+				events.push('next tick');
+				res.write('<body>', () => events.push('second'));
+				res.end('</body></html>', () => results.set(req.url, events));
+			});
+
+			return;
+		}
+
+		if (req.url === '/drain/') {
+			insertHtmlContent(res, '<hr>');
+
+			const returnValues = [res.write('<body>'), res.write(part.repeat(200))];
+
+			res.once('drain', () => {
+				results.set(req.url, returnValues);
+				res.end('</body>');
+			});
+
+			return;
+		}
+
+		if (req.url === '/gzip-callbacks/') {
+			const body = zlib.gzipSync(html);
+			const chunks = [body.slice(0, body.length / 2), body.slice(body.length / 2)];
+			const written = [];
+			const {write} = res;
+
+			res.write = (data, ...restArgs) => {
+				written.push(data);
+				return write.call(res, data, ...restArgs);
+			};
+
+			res.setHeader('content-encoding', 'gzip');
+			insertHtmlContent(res, '<hr>', {tagName: 'body'});
+			res.write(chunks[0], () => {
+				results.set(req.url, [
+					zlib.gunzipSync(chunks[0], {finishFlush: zlib.constants.Z_SYNC_FLUSH}).toString(),
+					zlib.gunzipSync(Buffer.concat(written), {finishFlush: zlib.constants.Z_SYNC_FLUSH}).toString()
+				]);
+				res.end(chunks[1]);
+			});
+
+			return;
+		}
+
+		if (req.url === '/gzip/') {
+			res.setHeader('content-encoding', 'gzip');
+			insertHtmlContent(res, '<hr>', {tagName: 'footer'});
+			Readable.from([zlib.gzipSync(html)]).pipe(res);
+
+			return;
+		}
+
+		res.setHeader('content-length', Buffer.byteLength(html));
+		insertHtmlContent(res, '<hr>', {tagName: 'footer'});
+		Readable.from(html.match(/[^]{1,1000}/gu)).pipe(res);
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	let response = await fetch('http://localhost:3018/callbacks/');
+
+	t.equal(
+		await response.text(),
+		'<html><head></head><body><hr></body></html>',
+		'should insert contents into a response with write callbacks.'
+	);
+
+	t.deepEqual(
+		results.get('/callbacks/'),
+		['next tick', 'first', 'second'],
+		'should call a write callback after its data is passed to the original write().'
+	);
+
+	response = await fetch('http://localhost:3018/drain/');
+
+	t.equal(
+		await response.text(),
+		`<body><hr>${part.repeat(200)}</body>`,
+		'should write the data passed after the buffer of the response is filled.'
+	);
+
+	t.deepEqual(
+		results.get('/drain/'),
+		[true, false],
+		'should return false when the buffer of the response is filled.'
+	);
+
+	response = await fetch('http://localhost:3018/');
+
+	t.deepEqual(
+		[await response.text(), response.headers.get('content-length')],
+		[html.replace('<footer>', '<footer><hr>'), null],
+		'should send a body piped into the response without content-length header instead of holding it over the high water mark.'
+	);
+
+	response = await fetch('http://localhost:3018/gzip/');
+
+	t.equal(
+		await response.text(),
+		html.replace('<footer>', '<footer><hr>'),
+		'should pipe a large compressed body through the insertion.'
+	);
+
+	response = await fetch('http://localhost:3018/gzip-callbacks/');
+
+	t.equal(
+		await response.text(),
+		html.replace('<body>', '<body><hr>'),
+		'should insert contents into a compressed response with write callbacks.'
+	);
+
+	const [writtenHtml, compressedHtml] = results.get('/gzip-callbacks/');
+
+	t.ok(
+		compressedHtml.startsWith(writtenHtml.replace('<body>', '<body><hr>')),
+		'should call a write callback after its compressed data is passed to the original write().'
+	);
+
+	await promisify(server.close.bind(server))();
+	t.end();
+});
+
+test('`digests` option and validators', async t => {
+	const html = '<html><head></head><body></body></html>';
+	const modifiedHtml = '<html><head></head><body><hr></body></html>';
+	const digest = createHash('md5').update('<hr>').digest('base64');
+	const server = createServer((req, res) => {
+		const [, digests = 'remove', ...rest] = req.url.split('/');
+
+		res.setHeader('content-type', req.url.endsWith('/text/') ? 'text/plain' : 'text/html');
+		res.setHeader('content-md5', createHash('md5').update(html).digest('base64'));
+		res.setHeader('content-digest', 'sha-512=:AAAA:, unknown=:BBBB:');
+		res.setHeader('repr-digest', 'sha-256=:CCCC:');
+		res.setHeader('etag', rest[0] === 'weak' ? 'W/"weak"' : '"strong"');
+		res.setHeader('last-modified', 'Wed, 21 Oct 2015 07:28:00 GMT');
+
+		if (rest[0] === 'limit') {
+			insertHtmlContent(res, '<hr>', {digests, maxBufferBytes: 10});
+		} else {
+			insertHtmlContent(res, '<hr>', {digests});
+		}
+
+		if (rest[0] === 'gzip') {
+			res.setHeader('content-encoding', 'gzip');
+			res.end(zlib.gzipSync(html));
+
+			return;
+		}
+
+		if (rest[0] === 'at-once') {
+			res.end(html);
+			return;
+		}
+
+		res.writeHead(200);
+		res.write('<html><head></head><body>');
+		res.end('</body></html>');
+	});
+
+	function fetchRaw(path) {
+		return new Promise((resolve, reject) => {
+			get(`http://localhost:3018${path}`, response => {
+				const chunks = [];
+
+				response.on('data', chunk => chunks.push(chunk))
+				.on('end', () => resolve({headers: response.headers, trailers: response.trailers, body: Buffer.concat(chunks)}))
+				.on('error', reject);
+			}).on('error', reject);
+		});
+	}
+
+	function pickDigests(headers) {
+		return ['content-md5', 'content-digest', 'repr-digest'].map(name => headers[name]);
+	}
+
+	function digestsOf(body) {
+		return [
+			createHash('md5').update(body).digest('base64'),
+			`sha-512=:${createHash('sha512').update(body).digest('base64')}:`,
+			`sha-256=:${createHash('sha256').update(body).digest('base64')}:`
+		];
+	}
+
+	await promisify(server.listen.bind(server))(3018);
+
+	let response = await fetchRaw('/remove/weak/');
+
+	t.deepEqual(
+		[response.body.toString(), ...pickDigests(response.headers), response.headers.etag, response.headers['last-modified']],
+		[modifiedHtml, undefined, undefined, undefined, `W/"weak-${digest}"`, undefined],
+		'should remove the digest headers and last-modified header, and put the digest into the opaque tag of a weak Etag.'
+	);
+
+	response = await fetchRaw('/remove/text/');
+
+	t.deepEqual(
+		[...pickDigests(response.headers), response.headers.etag, response.headers['last-modified']],
+		[
+			createHash('md5').update(html).digest('base64'),
+			'sha-512=:AAAA:, unknown=:BBBB:',
+			'sha-256=:CCCC:',
+			'"strong"',
+			'Wed, 21 Oct 2015 07:28:00 GMT'
+		],
+		'should leave the digest headers and validators of a response into which no contents are inserted.'
+	);
+
+	response = await fetchRaw('/trailers/');
+
+	t.deepEqual(
+		[
+			response.body.toString(),
+			response.headers.etag,
+			response.headers.trailer,
+			response.headers['content-length'],
+			...pickDigests(response.headers),
+			...pickDigests(response.trailers)
+		],
+		[
+			modifiedHtml,
+			`"strong-${digest}"`,
+			'content-md5, content-digest, repr-digest',
+			undefined,
+			undefined,
+			undefined,
+			undefined,
+			...digestsOf(modifiedHtml)
+		],
+		'should send the recomputed digests as trailers with `digests: \'trailers\'`.'
+	);
+
+	response = await fetchRaw('/trailers/at-once/');
+
+	t.deepEqual(
+		[response.headers.trailer, response.headers['content-length'], ...pickDigests(response.headers)],
+		[undefined, `${Buffer.byteLength(modifiedHtml)}`, ...digestsOf(modifiedHtml)],
+		'should send the recomputed digests as headers when the whole body is passed to end() at once.'
+	);
+
+	response = await fetchRaw('/buffer/');
+
+	t.deepEqual(
+		[response.body.toString(), response.headers['content-length'], ...pickDigests(response.headers)],
+		[modifiedHtml, `${Buffer.byteLength(modifiedHtml)}`, ...digestsOf(modifiedHtml)],
+		'should hold the body and send the recomputed digest headers with `digests: \'buffer\'`.'
+	);
+
+	response = await fetchRaw('/buffer/gzip/');
+
+	t.deepEqual(
+		[zlib.gunzipSync(response.body).toString(), response.headers['content-length'], ...pickDigests(response.headers)],
+		[modifiedHtml, `${response.body.length}`, ...digestsOf(response.body)],
+		'should recompute the digest headers over the compressed body.'
+	);
+
+	response = await fetchRaw('/buffer/limit/');
+
+	t.deepEqual(
+		[response.body.toString(), ...pickDigests(response.headers)],
+		[modifiedHtml, undefined, undefined, undefined],
+		'should remove the digest headers when the body exceeds `maxBufferBytes` option.'
+	);
+
+	await promisify(server.close.bind(server))();
+
+	const http2Server = http2.createServer().on('stream', stream => {
+		insertHtmlContent(stream, '<hr>', {digests: 'trailers'});
+		stream.respond({'content-type': 'text/html', 'repr-digest': 'sha-256=:CCCC:'});
+		stream.write('<html><head></head><body>');
+		stream.end('</body></html>');
+	});
+
+	await promisify(http2Server.listen.bind(http2Server))(3018);
+
+	const client = http2.connect('http://localhost:3018');
+
+	t.equal(
+		await new Promise((resolve, reject) => {
+			client.request({':path': '/'})
+			.on('trailers', trailers => resolve(trailers['repr-digest']))
+			.on('error', reject)
+			.resume()
+			.end();
+		}),
+		digestsOf(modifiedHtml)[2],
+		'should send the recomputed digests as trailers of a raw HTTP/2 stream.'
+	);
+
+	client.close();
+	await promisify(http2Server.close.bind(http2Server))();
+
+	response = await insertIntoResponse(new Response(html, {
+		headers: {'content-type': 'text/html', 'repr-digest': 'sha-512=:AAAA:', etag: 'W/"a"', 'last-modified': 'Wed, 21 Oct 2015 07:28:00 GMT'}
+	}), '<hr>', {digests: 'buffer'});
+
+	t.deepEqual(
+		[await response.text(), response.headers.get('repr-digest'), response.headers.get('etag'), response.headers.get('last-modified')],
+		[modifiedHtml, digestsOf(modifiedHtml)[1], `W/"a-${digest}"`, null],
+		'should recompute the digest headers of a Response with `digests: \'buffer\'` and remove its last-modified header.'
+	);
+
+	t.end();
+});
+
+test('insertHtmlContent() with HTTP/2', async t => {
+	const html = '<html><head></head><body></body></html>';
+	const server = http2.createServer((req, res) => {
+		if (req.url === '/compat/write-head/') {
+			insertHtmlContent(res, '<p>🐡</p>');
+			res.writeHead(200, {
+				'content-type': 'text/html',
+				'content-length': Buffer.byteLength(html),
+				etag: 'tag'
+			});
+			res.write(html.slice(0, 20));
+			res.end(html.slice(20));
+			return;
+		}
+
+		if (req.url === '/compat/set-header/') {
+			insertHtmlContent(res, '<p>🐠</p>', {tagName: 'head', occurrence: 'all'});
+			res.setHeader('content-type', 'text/html');
+			res.setHeader('content-length', Buffer.byteLength(html));
+			res.end(html);
+		}
+	}).on('stream', (stream, {':path': path}) => {
+		if (path === '/raw/') {
+			insertHtmlContent(stream, '<p>🐡</p>', {insertToEnd: true});
+			stream.respond({
+				':status': 201,
+				'content-type': 'text/html',
+				'content-length': Buffer.byteLength(html),
+				etag: 'tag'
+			});
+			stream.write(html.slice(0, 20));
+			stream.end(html.slice(20));
+			return;
+		}
+
+		if (path === '/raw/dynamic/') {
+			insertHtmlContent(stream, async ({id}) => `<p>${typeof id}</p>`);
+			stream.respond({'content-type': 'text/html', 'content-length': Buffer.byteLength(html)});
+			stream.end(html);
+			return;
+		}
+
+		if (path === '/raw/plain-text/') {
+			insertHtmlContent(stream, '<p>🐡</p>');
+			stream.respond({'content-type': 'text/plain'});
+			stream.end(html);
+			return;
+		}
+
+		if (path === '/raw/cancelled/') {
+			insertHtmlContent(stream, '<p>🐡</p>').cancel();
+			stream.respond({':status': 200, 'content-type': 'text/plain', 'x-custom': 'yes'});
+			stream.end(html);
+			return;
+		}
+
+		if (path === '/raw/head/') {
+			insertHtmlContent(stream, '<p>🐡</p>');
+			stream.respond({'content-type': 'text/html', 'content-length': Buffer.byteLength(html)});
+			stream.end();
+		}
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	const client = http2.connect('http://localhost:3018');
+
+	function request(path, method = 'GET') {
+		return new Promise((resolve, reject) => {
+			const chunks = [];
+			let headers;
+
+			client.request({':path': path, ':method': method})
+			.on('response', responseHeaders => {
+				headers = responseHeaders;
+			})
+			.on('data', chunk => chunks.push(chunk))
+			.on('end', () => resolve({headers, body: Buffer.concat(chunks).toString()}))
+			.on('error', reject)
+			.end();
+		});
+	}
+
+	await Promise.all([
+		(async () => {
+			const {headers, body} = await request('/compat/write-head/');
+			const expected = '<html><head></head><body><p>🐡</p></body></html>';
+
+			t.equal(body, expected, 'should insert contents into a response of HTTP/2 compatibility API.');
+
+			t.deepEqual(
+				[headers['content-length'], headers.etag],
+				[`${Buffer.byteLength(expected)}`, `tag${createHash('md5').update('<p>🐡</p>').digest('base64')}`],
+				'should adjust headers passed to `writeHead()` of HTTP/2 compatibility API.'
+			);
+		})(),
+		(async () => {
+			const {headers, body} = await request('/compat/set-header/');
+
+			t.equal(
+				body,
+				'<html><head><p>🐠</p></head><body></body></html>',
+				'should insert contents into a response of HTTP/2 compatibility API with `setHeader()`.'
+			);
+
+			t.equal(
+				headers['content-length'],
+				`${Buffer.byteLength(body)}`,
+				'should set the actual Content-Length of HTTP/2 compatibility API.'
+			);
+		})(),
+		(async () => {
+			const {headers, body} = await request('/raw/');
+			const expected = '<html><head></head><body><p>🐡</p></body></html>';
+
+			t.equal(body, expected, 'should insert contents into a raw HTTP/2 stream.');
+
+			t.deepEqual(
+				[headers[':status'], headers['content-length'], headers.etag],
+				[201, `${Buffer.byteLength(expected)}`, `tag${createHash('md5').update('<p>🐡</p>').digest('base64')}`],
+				'should adjust headers passed to `stream.respond()`.'
+			);
+		})(),
+		(async () => {
+			const {headers, body} = await request('/raw/dynamic/');
+
+			t.equal(
+				body,
+				'<html><head></head><body><p>number</p></body></html>',
+				'should call functions passed as contents with a raw HTTP/2 stream.'
+			);
+
+			t.equal(
+				headers['content-length'],
+				`${Buffer.byteLength(body)}`,
+				'should adjust Content-Length header of a raw HTTP/2 stream with dynamic contents.'
+			);
+		})(),
+		(async () => {
+			t.equal(
+				(await request('/raw/plain-text/')).body,
+				html,
+				'should ignore non-HTML raw HTTP/2 streams.'
+			);
+		})(),
+		(async () => {
+			const {headers, body} = await request('/raw/cancelled/');
+
+			t.deepEqual(
+				[body, headers['content-type'], headers['x-custom']],
+				[html, 'text/plain', 'yes'],
+				'should send headers passed to `stream.respond()` after the insertion is cancelled.'
+			);
+		})(),
+		(async () => {
+			const {headers, body} = await request('/raw/head/', 'HEAD');
+
+			t.deepEqual(
+				[body, headers['content-length']],
+				['', `${Buffer.byteLength(html) + Buffer.byteLength('<p>🐡</p>')}`],
+				'should give a raw HTTP/2 stream of HEAD request the same Content-Length as GET.'
+			);
+		})()
+	]);
+
+	client.close();
+	await promisify(server.close.bind(server))();
+
+	t.end();
+});
+
+test('createInsertionStream()', async t => {
+	async function transform(chunks, ...args) {
+		const buffers = [];
+
+		for await (const chunk of Readable.from(chunks).pipe(createInsertionStream(...args))) {
+			buffers.push(chunk);
+		}
+
+		return Buffer.concat(buffers);
+	}
+
+	const html = Buffer.from('<html><head></head><body><p>🐡</p><p>🐠</p></body></html>');
+
+	t.equal(
+		(await transform([html.slice(0, 27), html.slice(27, 31), html.slice(31)], [
+			{content: '1', tagName: 'head'},
+			{content: '2', tagName: 'p', occurrence: 'last', insertToEnd: true}
+		])).toString(),
+		'<html><head>1</head><body><p>🐡</p><p>🐠2</p></body></html>',
+		'should insert contents into a stream of HTML.'
+	);
+
+	t.equal(
+		(await transform([html], async (...args) => `${args.length}`)).toString(),
+		'<html><head></head><body>0<p>🐡</p><p>🐠</p></body></html>',
+		'should call functions passed as contents with no arguments.'
+	);
+
+	t.equal(
+		iconv.decode(await transform([iconv.encode('<meta charset="shift_jis"><body>ア</body>', 'shift_jis')], 'イ'), 'shift_jis'),
+		'<meta charset="shift_jis"><body>イア</body>',
+		'should detect the charset from <meta charset> tag.'
+	);
+
+	try {
+		await transform([Buffer.from([0x3C, 0xFF])], '.');
+		t.fail('Unexpectedly succeeded.');
+	} catch ({message}) {
+		t.equal(
+			message,
+			'The HTML cannot be encoded to a valid UTF-8 character sequence.',
+			'should fail when the HTML includes an invalid UTF-8 sequence.'
+		);
+	}
+
+	try {
+		await transform([Buffer.from('<p>'), Buffer.from([0xE3, 0x81])], '.');
+		t.fail('Unexpectedly succeeded.');
+	} catch ({message}) {
+		t.equal(
+			message,
+			'The HTML cannot be encoded to a valid UTF-8 character sequence.',
+			'should fail when the HTML ends with an incomplete UTF-8 sequence.'
+		);
+	}
+
+	t.throws(
+		() => createInsertionStream(),
+		/^RangeError.*Expected 1 or 2 arguments \(<string>\[, <Object>\]\), but got no arguments\./u,
+		'should throw an error when it takes no arguments.'
+	);
+
+	t.throws(
+		() => createInsertionStream('.', {occurrence: 0}),
+		/^Error.*Expected `occurrence` option to be a positive integer, 'last' or 'all', but got 0\./u,
+		'should validate options.'
+	);
+
+	t.end();
+});
+
+test('createInsertionTransformStream()', async t => {
+	const chunks = [];
+	const stream = Readable.toWeb(Readable.from(['<html><body>', new Uint8Array([0x41]), '</body></html>']))
+	.pipeThrough(createInsertionTransformStream('<p>inserted</p>', {insertToEnd: true}));
+
+	for await (const chunk of stream) {
+		chunks.push(chunk);
+	}
+
+	t.equal(
+		Buffer.concat(chunks).toString(),
+		'<html><body>A<p>inserted</p></body></html>',
+		'should insert contents into a WHATWG stream of HTML.'
+	);
+
+	try {
+		const truncated = Readable.toWeb(Readable.from([new Uint8Array([0x3C, 0x70, 0x3E, 0xE3, 0x81])]))
+		.pipeThrough(createInsertionTransformStream('.'));
+
+		for await (const chunk of truncated) {
+			chunks.push(chunk);
+		}
+
+		t.fail('Unexpectedly succeeded.');
+	} catch ({message}) {
+		t.equal(
+			message,
+			'The HTML cannot be encoded to a valid UTF-8 character sequence.',
+			'should fail when the HTML ends with an incomplete UTF-8 sequence.'
+		);
+	}
+
+	t.throws(
+		() => createInsertionTransformStream('.', '.', '.'),
+		/^RangeError.*Expected 1 or 2 arguments \(<string>\[, <Object>\]\), but got 3 arguments\./u,
+		'should throw an error when it takes too many arguments.'
+	);
+
+	t.end();
+});
+
+test('insertIntoResponse()', async t => {
+	const html = Buffer.from('<html><head></head><body><p>🐡</p></body></html>');
+	const response = await insertIntoResponse(new Response(html, {
+		status: 201,
+		statusText: 'Created',
+		headers: {
+			'content-type': 'text/html',
+			'content-length': `${html.length}`,
+			etag: 'tag',
+			'x-name': 'a'
+		}
+	}), [
+		{content: ({headers}) => `<meta name="${headers.get('x-name')}">`, tagName: 'head'},
+		{content: '🐠', selector: 'p', insertToEnd: true}
+	]);
+	const expected = '<html><head><meta name="a"></head><body><p>🐡🐠</p></body></html>';
+
+	t.equal(
+		await response.text(),
+		expected,
+		'should return a new Response with contents inserted into its body.'
+	);
+
+	t.deepEqual(
+		[...response.headers],
+		[
+			['content-length', `${Buffer.byteLength(expected)}`],
+			['content-type', 'text/html'],
+			['etag', `tag${createHash('md5').update('<meta name="a">🐠').digest('base64')}`],
+			['x-name', 'a']
+		],
+		'should adjust Content-Length header and Etag header of the new Response.'
+	);
+
+	t.deepEqual(
+		[response.status, response.statusText],
+		[201, 'Created'],
+		'should keep the status of the original Response.'
+	);
+
+	const nonHtmlResponse = new Response('<body></body>');
+
+	t.equal(
+		await insertIntoResponse(nonHtmlResponse, '.'),
+		nonHtmlResponse,
+		'should return non-HTML Response untouched.'
+	);
+
+	const cspResponse = await insertIntoResponse(new Response(html, {
+		headers: {
+			'content-type': 'text/html',
+			'content-length': `${html.length}`,
+			'content-security-policy': 'script-src \'self\'; style-src \'nonce-YWJj\''
+		}
+	}), '<script>1</script><style></style>', {csp: true});
+	const cspBody = await cspResponse.text();
+	const {nonce} = /^script-src 'self' 'nonce-(?<nonce>[\w+/]{22}==)'; style-src 'nonce-YWJj'$/u
+	.exec(cspResponse.headers.get('content-security-policy')).groups;
+
+	t.deepEqual(
+		[cspBody, cspResponse.headers.get('content-length')],
+		[
+			`<html><head></head><body><script nonce="${nonce}">1</script><style nonce="YWJj"></style><p>🐡</p></body></html>`,
+			`${Buffer.byteLength(cspBody)}`
+		],
+		'should add the nonces of the policy to the inserted tags, and adjust Content-Length header with them.'
+	);
+
+	const server = createServer((req, res) => {
+		const body = zlib.gzipSync(html);
+
+		res.writeHead(200, {'content-type': 'text/html', 'content-encoding': 'gzip', 'content-length': body.length});
+		res.end(body);
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	const decodedResponse = await insertIntoResponse(await fetch('http://localhost:3018/'), '🐠', {selector: 'p'});
+
+	await promisify(server.close.bind(server))();
+
+	t.deepEqual(
+		[
+			await decodedResponse.text(),
+			decodedResponse.headers.get('content-encoding'),
+			decodedResponse.headers.get('content-length')
+		],
+		['<html><head></head><body><p>🐠🐡</p></body></html>', null, null],
+		'should insert contents into a body decoded by fetch(), and remove the headers of the encoded one.'
+	);
+
+	const encodedResponse = new Response(zlib.gzipSync(html), {headers: {'content-type': 'text/html', 'content-encoding': 'gzip'}});
+
+	t.equal(
+		await insertIntoResponse(encodedResponse, '.'),
+		encodedResponse,
+		'should return a Response constructed with an encoded body untouched.'
+	);
+
+	const streamedResponse = await insertIntoResponse(new Response(
+		Readable.toWeb(Readable.from([html.slice(0, 29), html.slice(29, 31), html.slice(31)])),
+		{headers: {'content-type': 'text/html', 'content-length': `${html.length}`}}
+	), 'a', {tagName: 'p', occurrence: 'all'});
+
+	t.equal(
+		await streamedResponse.text(),
+		'<html><head></head><body><p>a🐡</p></body></html>',
+		'should insert contents into a streamed body.'
+	);
+
+	t.equal(
+		streamedResponse.headers.get('content-length'),
+		null,
+		'should remove Content-Length header when the number of insertions is unknown.'
+	);
+
+	const sjisResponse = await insertIntoResponse(new Response(
+		iconv.encode('<meta charset="shift_jis"><body>ア</body>', 'shift_jis'),
+		{headers: {'content-type': 'text/html', 'content-length': '37'}}
+	), 'イ');
+
+	t.equal(
+		iconv.decode(Buffer.from(await sjisResponse.arrayBuffer()), 'shift_jis'),
+		'<meta charset="shift_jis"><body>イア</body>',
+		'should detect the charset from <meta charset> tag.'
+	);
+
+	t.equal(
+		sjisResponse.headers.get('content-length'),
+		'39',
+		'should adjust Content-Length header with the length of the content encoded in the detected charset.'
+	);
+
+	try {
+		await insertIntoResponse(new Response('', {headers: {'content-type': 'text/html; charset=iso-8859-1'}}), 'ア');
+		t.fail('Unexpectedly succeeded.');
+	} catch ({code}) {
+		t.equal(
+			code,
+			'ERR_UNENCODABLE_CONTENT',
+			'should fail when the content cannot be encoded in the charset of the HTML.'
+		);
+	}
+
+	t.throws(
+		() => insertIntoResponse({}, '.'),
+		/^TypeError.*Expected a Response object, but got \{\} \(object\)\./u,
+		'should fail when the first argument is not a Response.'
+	);
+
+	t.throws(
+		() => insertIntoResponse(new Response(''), 1),
+		/^TypeError.*Expected a <string> to inject into HTML/u,
+		'should fail when the second argument is invalid.'
+	);
+
+	t.throws(
+		() => insertIntoResponse(new Response('')),
+		/^RangeError.*Expected 2 or 3 arguments \(<Response>, <string>\[, <Object>\]\), but got 1 arguments\./u,
+		'should throw an error when it takes too few arguments.'
+	);
+
+	t.end();
+});
+
+test('createKoaMiddleware()', async t => {
+	const html = '<html><head></head><body><p>🐡</p></body></html>';
+	const lastModified = new Date('2015-10-21T07:28:00Z');
+	// A middleware and the downstream one setting the response for each path
+	const routes = {
+		'/string/': {
+			middleware: createKoaMiddleware([{content: ({path}) => `<title>${path}</title>`, tagName: 'head'}, {content: '🐠'}]),
+			respond(ctx) {
+				ctx.body = html;
+				ctx.etag = 'tag';
+				ctx.lastModified = lastModified;
+			}
+		},
+		'/buffer/': {
+			middleware: createKoaMiddleware('<br>', {tagName: 'p', occurrence: 'all'}),
+			respond(ctx) {
+				ctx.set('content-type', 'text/html');
+				ctx.body = Buffer.from(html);
+			}
+		},
+		'/stream/': {
+			middleware: createKoaMiddleware('<br>', {insertToEnd: true, fallback: 'append'}),
+			respond(ctx) {
+				ctx.type = 'text/html; charset=utf-8';
+				ctx.body = Readable.from([Buffer.from(html.slice(0, 27)), Buffer.from(html.slice(27))]);
+				ctx.length = Buffer.byteLength(html);
+			}
+		},
+		'/stream-without-fallback/': {
+			middleware: createKoaMiddleware('<br>'),
+			respond(ctx) {
+				ctx.type = 'text/html; charset=utf-8';
+				ctx.body = Readable.from([Buffer.from(html)]);
+				ctx.length = Buffer.byteLength(html);
+			}
+		},
+		'/stream-without-charset/': {
+			middleware: createKoaMiddleware('<br>'),
+			respond(ctx) {
+				ctx.set('content-type', 'text/html');
+				ctx.body = Readable.from([Buffer.from(html)]);
+				ctx.length = Buffer.byteLength(html);
+			}
+		},
+		'/json/': {
+			middleware: createKoaMiddleware('<br>'),
+			respond(ctx) {
+				ctx.body = {a: '<body></body>'};
+			}
+		},
+		'/csp/': {
+			middleware: createKoaMiddleware('<script>1</script>', {csp: true}),
+			respond(ctx) {
+				ctx.set('content-security-policy', 'script-src \'self\'');
+				ctx.body = html;
+			}
+		},
+		'/digests/string/': {
+			middleware: createKoaMiddleware('<br>', {digests: 'trailers'}),
+			respond(ctx) {
+				ctx.set('repr-digest', 'sha-256=:CCCC:');
+				ctx.set('content-md5', 'AAAA');
+				ctx.body = html;
+			}
+		},
+		'/digests/buffer/': {
+			middleware: createKoaMiddleware('<br>', {digests: 'buffer'}),
+			respond(ctx) {
+				ctx.set('content-type', 'text/html');
+				ctx.set('content-digest', 'sha-512=:AAAA:');
+				ctx.body = Buffer.from(html);
+			}
+		},
+		'/digests/stream/': {
+			middleware: createKoaMiddleware('<br>', {digests: 'buffer'}),
+			respond(ctx) {
+				ctx.type = 'text/html; charset=utf-8';
+				ctx.set('content-digest', 'sha-512=:AAAA:');
+				ctx.body = Readable.from([Buffer.from(html)]);
+			}
+		}
+	};
+	const app = new Koa().use(ctx => {
+		const {middleware, respond} = routes[ctx.path];
+
+		return middleware(ctx, async () => respond(ctx));
+	});
+	const server = createServer(app.callback());
+
+	await promisify(server.listen.bind(server))(3018);
+
+	let response = await fetch('http://localhost:3018/string/');
+	let body = await response.text();
+
+	t.equal(
+		body,
+		'<html><head><title>/string/</title></head><body>🐠<p>🐡</p></body></html>',
+		'should insert contents into a string body.'
+	);
+
+	t.deepEqual(
+		[response.headers.get('content-length'), response.headers.get('etag'), response.headers.get('last-modified')],
+		[
+			`${Buffer.byteLength(body)}`,
+			`"tag-${createHash('md5').update('<title>/string/</title>🐠').digest('base64')}"`,
+			null
+		],
+		'should update Content-Length header and Etag header of the context, and remove Last-Modified header.'
+	);
+
+	response = await fetch('http://localhost:3018/buffer/');
+	body = await response.text();
+
+	t.equal(
+		body,
+		'<html><head></head><body><p><br>🐡</p></body></html>',
+		'should insert contents into a Buffer body.'
+	);
+
+	t.equal(
+		response.headers.get('content-length'),
+		`${Buffer.byteLength(body)}`,
+		'should set the actual Content-Length to a Buffer body.'
+	);
+
+	response = await fetch('http://localhost:3018/stream/');
+
+	t.equal(
+		await response.text(),
+		'<html><head></head><body><p>🐡</p><br></body></html>',
+		'should pipe a stream body through the insertion.'
+	);
+
+	t.equal(
+		response.headers.get('content-length'),
+		`${Buffer.byteLength(html) + 4}`,
+		'should adjust Content-Length header of a stream body.'
+	);
+
+	response = await fetch('http://localhost:3018/stream-without-fallback/');
+	await response.text();
+
+	t.equal(
+		response.headers.get('content-length'),
+		null,
+		'should remove Content-Length header of a stream body when the contents might not be inserted.'
+	);
+
+	response = await fetch('http://localhost:3018/stream-without-charset/');
+	await response.text();
+
+	t.equal(
+		response.headers.get('content-length'),
+		null,
+		'should remove Content-Length header of a stream body whose charset is unknown.'
+	);
+
+	t.deepEqual(
+		await (await fetch('http://localhost:3018/json/')).json(),
+		{a: '<body></body>'},
+		'should ignore non-HTML bodies.'
+	);
+
+	response = await fetch('http://localhost:3018/csp/');
+	body = await response.text();
+
+	const {nonce} = /^script-src 'self' 'nonce-(?<nonce>[\w+/]{22}==)'$/u.exec(response.headers.get('content-security-policy')).groups;
+
+	t.deepEqual(
+		[body, response.headers.get('content-length')],
+		[`<html><head></head><body><script nonce="${nonce}">1</script><p>🐡</p></body></html>`, `${Buffer.byteLength(body)}`],
+		'should add a nonce to the policy and the inserted tags.'
+	);
+
+	response = await fetch('http://localhost:3018/digests/string/');
+	body = await response.text();
+
+	t.deepEqual(
+		[response.headers.get('repr-digest'), response.headers.get('content-md5')],
+		[`sha-256=:${createHash('sha256').update(body).digest('base64')}:`, createHash('md5').update(body).digest('base64')],
+		'should recompute the digest headers of a string body.'
+	);
+
+	response = await fetch('http://localhost:3018/digests/buffer/');
+	body = await response.text();
+
+	t.equal(
+		response.headers.get('content-digest'),
+		`sha-512=:${createHash('sha512').update(body).digest('base64')}:`,
+		'should recompute the digest headers of a Buffer body.'
+	);
+
+	response = await fetch('http://localhost:3018/digests/stream/');
+	await response.text();
+
+	t.equal(
+		response.headers.get('content-digest'),
+		null,
+		'should remove the digest headers of a stream body.'
+	);
+
+	await promisify(server.close.bind(server))();
+
+	t.throws(
+		() => createKoaMiddleware(),
+		/^RangeError.*Expected 1 or 2 arguments \(<string>\[, <Object>\]\), but got no arguments\./u,
+		'should throw an error when it takes no arguments.'
+	);
+
+	t.end();
+});
+
+test('fastifyPlugin()', async t => {
+	// Respond to a request with a Fastify application using the plugin
+	async function inject(pluginOptions, handler, routeOptions = {}) {
+		const app = fastify();
+
+		app.register(fastifyPlugin, pluginOptions);
+		app.get('/', routeOptions, handler);
+
+		try {
+			return await app.inject('/');
+		} finally {
+			await app.close();
+		}
+	}
+
+	const pluginOptions = {content: '<p>🐡</p>', tagName: 'head', insertToEnd: true, fallback: 'append'};
+	const html = '<html><head><title></title></head><body></body></html>';
+	const expected = '<html><head><title></title><p>🐡</p></head><body></body></html>';
+	let response = await inject(pluginOptions, async (request, reply) => {
+		reply.type('text/html; charset=utf-8').header('etag', '"tag"').header('last-modified', 'Wed, 21 Oct 2015 07:28:00 GMT');
+		return html;
+	});
+
+	t.equal(
+		response.body,
+		expected,
+		'should insert contents into a string payload.'
+	);
+
+	t.deepEqual(
+		[response.headers['content-length'], response.headers.etag, response.headers['last-modified']],
+		[`${Buffer.byteLength(expected)}`, `"tag-${createHash('md5').update('<p>🐡</p>').digest('base64')}"`, undefined],
+		'should fix Content-Length header and Etag header of the reply, and remove Last-Modified header.'
+	);
+
+	response = await inject(pluginOptions, async (request, reply) => {
+		reply.type('text/html; charset=utf-8').header('content-length', '15');
+		return Readable.from([Buffer.from('<head></head>'), Buffer.from('..')]);
+	});
+
+	t.equal(
+		response.body,
+		'<head><p>🐡</p></head>..',
+		'should transform a stream payload.'
+	);
+
+	t.equal(
+		response.headers['content-length'],
+		`${15 + Buffer.byteLength('<p>🐡</p>')}`,
+		'should adjust Content-Length header of a stream payload.'
+	);
+
+	response = await inject(pluginOptions, async (request, reply) => {
+		reply.type('text/html');
+		return Buffer.from(html);
+	});
+
+	t.equal(
+		response.body,
+		expected,
+		'should insert contents into a Buffer payload.'
+	);
+
+	response = await inject(pluginOptions, async () => {
+		return {head: '<head></head>'};
+	});
+
+	t.equal(
+		response.body,
+		'{"head":"<head></head>"}',
+		'should ignore non-HTML payloads.'
+	);
+
+	response = await inject(pluginOptions, async (request, reply) => {
+		reply.type('text/html');
+		return html;
+	}, {config: {insertHtmlContent: false}});
+
+	t.equal(
+		response.body,
+		html,
+		'should not modify the payload of a route that opts out via its config.'
+	);
+
+	const app = fastify();
+
+	// A plugin usually gets its own encapsulated context, whose hooks don't apply to the routes of the other contexts
+	app.register(fastifyPlugin, pluginOptions);
+	app.register(async child => {
+		child.get('/', async (request, reply) => {
+			reply.type('text/html');
+			return html;
+		});
+	});
+
+	t.equal(
+		(await app.inject('/')).body,
+		expected,
+		'should apply the hook to the whole application.'
+	);
+
+	await app.close();
+
+	response = await inject({content: '<script>1</script>', csp: true}, async (request, reply) => {
+		reply.type('text/html; charset=utf-8').header('content-security-policy', 'default-src \'self\'');
+		return html;
+	});
+
+	const {nonce} = /^default-src 'self' 'nonce-(?<nonce>[\w+/]{22}==)'$/u.exec(response.headers['content-security-policy']).groups;
+
+	t.deepEqual(
+		[response.body, response.headers['content-length']],
+		[
+			`<html><head><title></title></head><body><script nonce="${nonce}">1</script></body></html>`,
+			`${Buffer.byteLength(response.body)}`
+		],
+		'should add a nonce to the policy and the inserted tags.'
+	);
+
+	response = await inject({...pluginOptions, digests: 'buffer'}, async (request, reply) => {
+		reply.type('text/html; charset=utf-8').header('repr-digest', 'sha-256=:CCCC:').header('content-md5', 'AAAA');
+		return html;
+	});
+
+	t.deepEqual(
+		[response.headers['repr-digest'], response.headers['content-md5']],
+		[
+			`sha-256=:${createHash('sha256').update(expected).digest('base64')}:`,
+			createHash('md5').update(expected).digest('base64')
+		],
+		'should recompute the digest headers of a string payload.'
+	);
+
+	response = await inject({...pluginOptions, digests: 'trailers'}, async (request, reply) => {
+		reply.type('text/html').header('content-digest', 'sha-512=:AAAA:');
+		return Buffer.from(html);
+	});
+
+	t.equal(
+		response.headers['content-digest'],
+		`sha-512=:${createHash('sha512').update(expected).digest('base64')}:`,
+		'should recompute the digest headers of a Buffer payload.'
+	);
+
+	response = await inject({...pluginOptions, digests: 'buffer'}, async (request, reply) => {
+		reply.type('text/html; charset=utf-8').header('content-digest', 'sha-512=:AAAA:');
+		return Readable.from([Buffer.from(html)]);
+	});
+
+	t.deepEqual(
+		[response.body, response.headers['content-digest']],
+		[expected, undefined],
+		'should remove the digest headers of a stream payload.'
+	);
+
+	try {
+		await fastifyPlugin(fastify(), {content: '.', tagName: 1});
+		t.fail('Unexpectedly succeeded.');
+	} catch ({message}) {
+		t.equal(
+			message,
+			'Expected `tagName` option to be an HTML tag name (<string>), but got a non-string value 1 (number).',
+			'should validate the plugin options.'
+		);
+	}
+
+	try {
+		await fastifyPlugin(fastify(), null);
+		t.fail('Unexpectedly succeeded.');
+	} catch ({code}) {
+		t.equal(code, 'ERR_INVALID_ARG_TYPE', 'should fail when the plugin options are not an object.');
+	}
+
+	t.end();
+});
+
+test('liveReload()', async t => {
+	const reloader = liveReload({path: '/reload'});
+	const server = createServer((req, res) => {
+		if (reloader.handleRequest(req, res)) {
+			return;
+		}
+
+		reloader.insert(res);
+		res.setHeader('content-type', 'text/html');
+		res.end('<html><head></head><body><p>page</p></body></html>');
+	});
+
+	await promisify(server.listen.bind(server))(3018);
+
+	const body = await (await fetch('http://localhost:3018/')).text();
+
+	t.ok(
+		body.startsWith('<html><head></head><body><p>page</p><script>') && body.endsWith('</script></body></html>'),
+		'should insert a client script to the end of <body>.'
+	);
+
+	t.ok(
+		body.includes('new EventSource("/reload")'),
+		'should make the client connect to the endpoint.'
+	);
+
+	const events = await new Promise((resolve, reject) => {
+		get('http://localhost:3018/reload?from=test', response => {
+			let data = '';
+
+			t.equal(
+				response.headers['content-type'],
+				'text/event-stream',
+				'should respond to the endpoint with Server-Sent Events.'
+			);
+
+			response.setEncoding('utf8').on('data', chunk => {
+				data += chunk;
+
+				if (data === ': connected\n\n') {
+					const {notify, reload} = reloader;
+
+					t.deepEqual(
+						[notify(['./css\\style.css']), notify(['index.html', 'style.css']), reload()],
+						[1, 1, 1],
+						'should return the number of the notified pages.'
+					);
+
+					reloader.close();
+				}
+			}).on('end', () => resolve(data.split('\n\n').slice(1, -1))).on('error', reject);
+		}).on('error', reject);
+	});
+
+	t.deepEqual(
+		events,
+		['event: css\ndata: ["/css/style.css"]', 'event: reload\ndata: ', 'event: reload\ndata: '],
+		'should send the changed stylesheets for CSS-only changes, and reload the pages for the others.'
+	);
+
+	t.equal(reloader.reload(), 0, 'should notify no pages after closing the connections.');
+
+	const response = new ServerResponse({});
+	let inserted = '';
+
+	response.end = data => {
+		inserted += data;
+	};
+	liveReload({path: '/</script><script>alert(1)</script>'}).insert(response);
+	response.setHeader('content-type', 'text/html');
+	response.end('<body></body>');
+
+	t.ok(
+		inserted.includes('new EventSource("/\\u003C/script>\\u003Cscript>alert(1)\\u003C/script>")'),
+		'should escape `<` in the path so that it cannot close the client <script>.'
+	);
+
+	await promisify(server.close.bind(server))();
+	t.end();
+});
+
+test('Argument validation', t => {
+	t.throws(
+		() => insertHtmlContent(new Set(), '.'),
+		/^TypeError.*Expected a ServerResponse object, but got Set(?:\(0\))? \{\}\./u,
+		'should fail when the first argument is not a ServerResponse.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), new Uint32Array()),
+		/^TypeError.*Expected a <string> to inject into HTML as the last child of `head` tag, but got a non-string value Uint32Array(?:\(0\))? \[\]\./u,
+		'should fail when the second argument is neither a string nor Buffer.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', new Int16Array()),
+		/^TypeError.*Expected an <Object> to set inject-html-content options, but got Int16Array(?:\(0\))? \[\]\./u,
+		'should fail when the third argument is not a plain object.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {tagName: new URLSearchParams()}),
+		/^TypeError.*Expected `tagName` option to be an HTML tag name \(<string>\), but got a non-string value URLSearchParams \{\}\./u,
+		'should fail when `tagName` option is not a string.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {tagName: ''}),
+		/^Error.*Expected `tagName` option to be an HTML tag name, but got '' \(empty string\)\./u,
+		'should fail when `tagName` option is an empty string.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {tagName: '\r'}),
+		/^Error.*Expected `tagName` option to be an HTML tag name, but got a whitespace-only string '\\r'\./u,
+		'should fail when `tagName` option is a whitespace-only string.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {tagName: 'mai n'}),
+		/^Error.*Expected `tagName` option to be an HTML tag name, but got an invalid tag name 'mai n'\./u,
+		'should fail when `tagName` option is a non-tag-name string.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {insertToEnd: []}),
+		/^TypeError.*Expected `insertToEnd` option to be a boolean, but got a non-boolean value \[\] \(array\)\./u,
+		'should fail when `insertToEnd` option is a non-boolean value.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {csp: 'nonce'}),
+		/^TypeError.*Expected `csp` option to be a boolean, but got a non-boolean value 'nonce' \(string\)\./u,
+		'should fail when `csp` option is a non-boolean value.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {fallback: false}),
+		/^TypeError.*Expected `fallback` option to be one of 'none', 'prepend', 'append', 'create', but got a non-string value false \(boolean\)\./u,
+		'should fail when `fallback` option is not a string.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {fallback: 'wrap'}),
+		/^Error.*Expected `fallback` option to be one of 'none', 'prepend', 'append', 'create', but got 'wrap'\./u,
+		'should fail when `fallback` option is an unknown value.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {selector: 'main', fallback: 'create'}),
+		/^Error.*`fallback: 'create'` cannot be used with `selector` option, since no element can be created from a selector, but got 'main'\./u,
+		'should fail when `fallback: \'create\'` is used with `selector` option.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {mediaTypes: new Set(['text/html'])}),
+		/^TypeError.*Expected `mediaTypes` option to be a media type like 'text\/html', an <Array> of them or a <Function>, but got Set/u,
+		'should fail when `mediaTypes` option is neither a string, an array nor a function.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {mediaTypes: []}),
+		/^Error.*Expected `mediaTypes` option .*, but got an empty array\./u,
+		'should fail when `mediaTypes` option is an empty array.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {mediaTypes: ['text/html', 'html']}),
+		/^Error.*Expected `mediaTypes` option .*, but it includes an invalid media type 'html'\./u,
+		'should fail when `mediaTypes` option includes an invalid media type.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {mediaTypes: [1]}),
+		/^TypeError.*Expected `mediaTypes` option .*, but it includes a non-string value 1 \(number\)\./u,
+		'should fail when `mediaTypes` option includes a non-string value.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {placeholder: ['inject']}),
+		/^TypeError.*Expected `placeholder` option to be the text of a comment \(<string>\) or a <RegExp>, but got \[ 'inject' \] \(array\)\./u,
+		'should fail when `placeholder` option is neither a string nor a regular expression.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {placeholder: ' '}),
+		/^Error.*Expected `placeholder` option .*, but got a whitespace-only string ' '\./u,
+		'should fail when `placeholder` option is a whitespace-only string.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {placeholder: 'inject', insertToEnd: true}),
+		/^Error.*`placeholder` option and `insertToEnd` option cannot be used at the same time, but got both 'inject' and true\./u,
+		'should fail when `placeholder` option is used with the options of the target tag.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {placeholder: /inject/u, fallback: 'create'}),
+		/^Error.*`fallback: 'create'` cannot be used with `placeholder` option, since no element can be created from a comment, but got \/inject\/u\./u,
+		'should fail when `fallback: \'create\'` is used with `placeholder` option.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {attributes: ['class']}),
+		/^TypeError.*Expected `attributes` option to be an <Object> mapping attribute names to <string>, <boolean> or `null`, but got \[ 'class' \] \(array\)\./u,
+		'should fail when `attributes` option is not a plain object.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {attributes: {}}),
+		/^Error.*Expected `attributes` option .*, but got an empty <Object>\./u,
+		'should fail when `attributes` option is an empty object.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {attributes: {'a b': 'c'}}),
+		/^Error.*Expected `attributes` option .*, but it includes an invalid attribute name 'a b'\./u,
+		'should fail when `attributes` option includes an invalid attribute name.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {attributes: {tabindex: 1}}),
+		/^TypeError.*Expected `attributes` option .*, but got 1 \(number\) for 'tabindex'\./u,
+		'should fail when `attributes` option includes an invalid attribute value.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), [{placeholder: 'a'}], {attributes: {class: 'a'}}),
+		/^TypeError.*Expected `content` of the insertion rule at index 0 to be a <string> or <Function>, but got undefined\./u,
+		'should fail when an insertion rule has neither contents nor its own `attributes` option.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {placeholder: 'a', attributes: {class: 'a'}}),
+		/^Error.*`placeholder` option and `attributes` option cannot be used at the same time, but got both 'a' and \{ class: 'a' \}\./u,
+		'should fail when `attributes` option is used with `placeholder` option.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {dedupe: 'src'}),
+		/^TypeError.*Expected `dedupe` option to be a boolean, but got a non-boolean value 'src' \(string\)\./u,
+		'should fail when `dedupe` option is not a boolean.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {maxScanBytes: '1024'}),
+		/^TypeError.*Expected `maxScanBytes` option to be a positive integer, but got a non-number value '1024' \(string\)\./u,
+		'should fail when `maxScanBytes` option is not a number.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {maxScanBytes: 0}),
+		/^Error.*Expected `maxScanBytes` option to be a positive integer, but got 0\./u,
+		'should fail when `maxScanBytes` option is not a positive integer.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), [{content: '.', maxScanBytes: 1}]),
+		/^Error.*`maxScanBytes` option cannot be specified for each insertion rule, but the rule at index 0 has 1\./u,
+		'should fail when an insertion rule has `maxScanBytes` option.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {digests: 'recompute'}),
+		/^Error.*Expected `digests` option to be one of 'remove', 'trailers', 'buffer', but got 'recompute'\./u,
+		'should fail when `digests` option is an unknown mode.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {digests: true}),
+		/^TypeError.*Expected `digests` option to be one of .*, but got a non-string value true \(boolean\)\./u,
+		'should fail when `digests` option is not a string.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {digests: 'buffer', maxBufferBytes: 1.5}),
+		/^Error.*Expected `maxBufferBytes` option to be a positive integer, but got 1\.5\./u,
+		'should fail when `maxBufferBytes` option is not a positive integer.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {maxBufferBytes: 1024}),
+		/^Error.*`maxBufferBytes` option is only used with `digests: 'buffer'`, but got no `digests` option\./u,
+		'should fail when `maxBufferBytes` option is used without `digests: \'buffer\'`.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), [{content: '.', digests: 'remove'}]),
+		/^Error.*`digests` option cannot be specified for each insertion rule, but the rule at index 0 has 'remove'\./u,
+		'should fail when an insertion rule has `digests` option.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {onFallback: 'warn'}),
+		/^TypeError.*Expected `onFallback` option to be a <Function>, but got 'warn' \(string\)\./u,
+		'should fail when `onFallback` option is not a function.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), [{content: '.', onFallback: noop}]),
+		/^Error.*`onFallback` option cannot be specified for each insertion rule, but the rule at index 0 has \[Function: noop\]\./u,
+		'should fail when an insertion rule has `onFallback` option.'
+	);
+
+	t.throws(
+		() => liveReload({path: 'reload'}),
+		/^Error.*Expected `path` option to be an absolute URL path like '\/live-reload', but got 'reload'\./u,
+		'should fail when `path` option of liveReload() is not an absolute path.'
+	);
+
+	t.throws(
+		() => liveReload().notify('style.css'),
+		/^TypeError.*Expected an <Array> of changed paths \(<string>\), but got 'style\.css' \(string\)\./u,
+		'should fail when liveReload().notify() takes a non-array value.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {selector: ['div']}),
+		/^TypeError.*Expected `selector` option to be a CSS selector .*, but got a non-string value \[ 'div' \] \(array\)\./u,
+		'should fail when `selector` option is not a string.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {selector: ''}),
+		/^Error.*Expected `selector` option to be a CSS selector .*, but got '' \(empty string\)\./u,
+		'should fail when `selector` option is an empty string.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {selector: '\n'}),
+		/^Error.*Expected `selector` option to be a CSS selector .*, but got a whitespace-only string '\\n'\./u,
+		'should fail when `selector` option is a whitespace-only string.'
+	);
+
+	for (const selector of ['div:hover', 'a + b', 'div >', '[href^="https"]', '.', 'p,div']) {
+		t.throws(
+			() => insertHtmlContent(new ServerResponse({}), '.', {selector}),
+			/^Error.*Expected `selector` option to be a CSS selector .*, but got an invalid or unsupported selector /u,
+			`should fail when \`selector\` option is an unsupported selector ${selector}.`
+		);
+	}
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {selector: 'div', tagName: 'div'}),
+		/^Error.*`selector` option and `tagName` option cannot be used at the same time, but got both 'div' and 'div'\./u,
+		'should fail when both `selector` option and `tagName` option are provided.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {position: 1}),
+		/^TypeError.*Expected `position` option to be one of 'beforebegin', 'afterbegin', 'beforeend', 'afterend', but got a non-string value 1 \(number\)\./u,
+		'should fail when `position` option is not a string.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {position: 'after'}),
+		/^Error.*Expected `position` option to be one of .*, but got 'after'\./u,
+		'should fail when `position` option is an unknown position.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {position: 'afterend', insertToEnd: true}),
+		/^Error.*`position` option and `insertToEnd` option cannot be used at the same time, but got both 'afterend' and true\./u,
+		'should fail when both `position` option and `insertToEnd` option are provided.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {occurrence: true}),
+		/^TypeError.*Expected `occurrence` option to be a positive integer, 'last' or 'all', but got true \(boolean\)\./u,
+		'should fail when `occurrence` option is neither a number nor a string.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {occurrence: 0}),
+		/^Error.*Expected `occurrence` option to be a positive integer, 'last' or 'all', but got 0\./u,
+		'should fail when `occurrence` option is not a positive integer.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), '.', {occurrence: 'first'}),
+		/^Error.*Expected `occurrence` option to be a positive integer, 'last' or 'all', but got 'first'\./u,
+		'should fail when `occurrence` option is an unknown string.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), []),
+		/^Error.*Expected at least one insertion rule, but got an empty array\./u,
+		'should fail when the second argument is an empty array.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), [{content: ''}, 1]),
+		/^TypeError.*Expected every insertion rule to be an <Object>, but got 1 \(number\) at index 1\./u,
+		'should fail when an insertion rule is not a plain object.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), [{content: Buffer.from('a')}]),
+		/^TypeError.*Expected `content` of the insertion rule at index 0 to be a <string> or <Function>, but got <Buffer 61>\./u,
+		'should fail when an insertion rule has neither a string nor a function as its content.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), [{content: '', tagName: ' '}]),
+		/^Error.*Expected `tagName` option to be an HTML tag name, but got a whitespace-only string ' '\./u,
+		'should validate options of each insertion rule.'
+	);
+
+	t.throws(
+		() => insertHtmlContent(new ServerResponse({}), [{content: ''}, {content: '', mediaTypes: 'text/*'}]),
+		/^Error.*`mediaTypes` option cannot be specified for each insertion rule, but the rule at index 1 has 'text\/\*'\./u,
+		'should fail when an insertion rule has `mediaTypes` option.'
 	);
 
 	t.throws(